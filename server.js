@@ -5,9 +5,86 @@
 const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { GoogleGenerativeAI, SchemaType, HarmCategory, HarmBlockThreshold } = require('@google/generative-ai');
 const fetch = require('node-fetch'); // Required for Node.js versions < 18, or if you prefer node-fetch
 const crypto = require('crypto'); // Node.js built-in module for generating random data
+const fs = require('fs'); // Node.js built-in modules used by the local storage backend
+const path = require('path');
+const os = require('os'); // Names the instance that printed the owner claim token
+const util = require('util'); // Formats log messages before they are redacted
+
+// --- Log Redaction ---
+// Secrets must never end up in logs (hosted log viewers are often shared more widely than the database).
+// Every console method is wrapped so its output passes through `redactSecrets`, which masks the secret
+// values the server knows about (see `registerSecret`) and anything shaped like a credential.
+
+// Secrets from the environment, masked for the lifetime of the process.
+const knownSecrets = new Set();
+// Secrets read from or written to storage, least recently used first. Tokens change with every refresh,
+// so only the most recent ones are kept; older ones are still caught by SECRET_PATTERNS in named fields.
+const recentStoredSecrets = new Set();
+const MAX_RECENT_STORED_SECRETS = 500;
+
+/**
+ * Adds a value to the secrets masked in log output. Short values are skipped, since masking
+ * them would garble unrelated text.
+ */
+function registerSecret(value) {
+    if (typeof value === 'string' && value.length >= 8) {
+        knownSecrets.add(value);
+    }
+}
+
+/**
+ * Like registerSecret, for secrets passing through storage: only the MAX_RECENT_STORED_SECRETS most
+ * recently used ones are masked.
+ */
+function registerStoredSecret(value) {
+    if (typeof value !== 'string' || value.length < 8 || knownSecrets.has(value)) {
+        return;
+    }
+    recentStoredSecrets.delete(value); // Re-added below as the most recently used
+    recentStoredSecrets.add(value);
+    if (recentStoredSecrets.size > MAX_RECENT_STORED_SECRETS) {
+        recentStoredSecrets.delete(recentStoredSecrets.values().next().value);
+    }
+}
+
+// Credentials recognizable by their context: query parameters, bearer tokens, URL passwords and
+// named fields in JSON or inspected objects (e.g. Trakt token responses).
+const SECRET_PATTERNS = [
+    [/([?&](?:api_key|key|client_secret|code)=)[^&\s'"]+/gi, '$1[REDACTED]'],
+    [/(Bearer\s+)[\w.~+\/-]+=*/gi, '$1[REDACTED]'],
+    [/(\/\/[^:\/\s@]+:)[^@\/\s]+@/g, '$1[REDACTED]@'],
+    [/((?:client_secret|clientSecret|access_token|refresh_token|device_code|geminiApiKey|traktClientSecret|tmdbApiKey|fanartApiKey|private_key|password)['"]?\s*[:=]\s*['"])[^'"]+/g, '$1[REDACTED]']
+];
+
+/**
+ * Masks known secrets and credential-shaped values in a log message.
+ */
+function redactSecrets(text) {
+    let redacted = text;
+    for (const secrets of [knownSecrets, recentStoredSecrets]) {
+        for (const secret of secrets) {
+            if (redacted.includes(secret)) {
+                redacted = redacted.split(secret).join('[REDACTED]');
+            }
+        }
+    }
+    for (const [pattern, replacement] of SECRET_PATTERNS) {
+        redacted = redacted.replace(pattern, replacement);
+    }
+    return redacted;
+}
+
+for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => original(redactSecrets(util.format(...args)));
+}
+
+['GEMINI_API_KEY', 'TRAKT_CLIENT_SECRET', 'TMDB_API_KEY', 'FANART_API_KEY', 'OPENAI_API_KEY', 'SECRETS_MASTER_KEY', 'OWNER_PASSWORD']
+    .forEach(name => registerSecret(process.env[name]));
+(process.env.SECRETS_PREVIOUS_MASTER_KEYS || '').split(',').forEach(key => registerSecret(key.trim()));
 
 // --- Firebase Admin SDK Imports and Initialization ---
 // These are necessary for the backend to interact with Firestore for persistent storage.
@@ -18,6 +95,7 @@ const { getFirestore } = require('firebase-admin/firestore');
 // These must be handled carefully as they might be undefined in local development.
 const firebaseConfig = JSON.parse(process.env.__firebase_config || '{}');
 const appId = process.env.__app_id || 'default-app-id'; // Use __app_id for unique collection paths
+registerSecret(firebaseConfig.private_key);
 
 // Initialize Firebase Admin SDK (must be done only once on server startup)
 // Use a try-catch block to handle cases where the Firebase config might be missing
@@ -38,79 +116,657 @@ try {
     // If Firebase Admin initialization fails, db will remain undefined, and Firestore operations will be skipped.
 }
 
+// --- Storage Backends (Firestore, Postgres or a local JSON file) ---
+// All persistent data goes through `storage`, a small document store interface:
+//   get(collection, id)        -> resolves to the stored object, or null
+//   set(collection, id, data)  -> merges `data` into the stored object (creating it if needed)
+//   delete(collection, id)     -> removes the stored object
+//   listIds(collection)        -> resolves to the IDs stored in a collection (used by maintenance tasks)
+// The driver is picked with STORAGE_DRIVER ('firestore', 'postgres' or 'local'). Without it, Firestore is
+// used when __firebase_config is set, Postgres when DATABASE_URL is set, and the local JSON file otherwise.
+
+/**
+ * Firestore driver. Documents live at artifacts/{appId}/users/{id}/addon_config/{collection},
+ * the layout the addon has always used for API keys and Trakt tokens.
+ */
+function createFirestoreStorage(firestore) {
+    const docRef = (collection, id) => firestore.collection('artifacts').doc(appId)
+                                                .collection('users').doc(id)
+                                                .collection('addon_config').doc(collection);
+    return {
+        name: 'firestore',
+        async get(collection, id) {
+            const docSnap = await docRef(collection, id).get();
+            return docSnap.exists ? docSnap.data() : null;
+        },
+        async set(collection, id, data) {
+            await docRef(collection, id).set({
+                ...data,
+                lastUpdated: admin.firestore.FieldValue.serverTimestamp() // Timestamp for when it was last saved
+            }, { merge: true });
+        },
+        async delete(collection, id) {
+            await docRef(collection, id).delete();
+        },
+        async listIds(collection) {
+            // Every ID has its own document, so this reads one document per ID of any collection:
+            // maintenance tasks using it should run rarely on Firestore
+            const users = await firestore.collection('artifacts').doc(appId).collection('users').listDocuments();
+            const ids = [];
+            // Batched reads, without the documents' contents
+            for (let start = 0; start < users.length; start += 500) {
+                const refs = users.slice(start, start + 500).map(user => user.collection('addon_config').doc(collection));
+                const snapshots = await firestore.getAll(...refs, { fieldMask: [] });
+                ids.push(...snapshots.filter(snapshot => snapshot.exists).map(snapshot => snapshot.ref.parent.parent.id));
+            }
+            return ids;
+        }
+    };
+}
+
+/**
+ * Postgres driver (e.g. Supabase or Render Postgres), connected through DATABASE_URL.
+ * Every collection shares one table of JSONB documents, created on first use.
+ * The `pg` package is only loaded when this driver is selected.
+ */
+function createPostgresStorage(connectionString) {
+    const { Pool } = require('pg');
+    const pool = new Pool({
+        connectionString,
+        ssl: process.env.DATABASE_SSL === 'false' ? false : { rejectUnauthorized: false } // Hosted Postgres (e.g. Supabase) requires SSL
+    });
+    const ready = pool.query(`
+        CREATE TABLE IF NOT EXISTS addon_documents (
+            collection TEXT NOT NULL,
+            id TEXT NOT NULL,
+            data JSONB NOT NULL,
+            last_updated TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            PRIMARY KEY (collection, id)
+        )
+    `);
+
+    return {
+        name: 'postgres',
+        async get(collection, id) {
+            await ready;
+            const result = await pool.query('SELECT data FROM addon_documents WHERE collection = $1 AND id = $2', [collection, id]);
+            return result.rows.length > 0 ? result.rows[0].data : null;
+        },
+        async set(collection, id, data) {
+            await ready;
+            await pool.query(
+                `INSERT INTO addon_documents (collection, id, data) VALUES ($1, $2, $3)
+                 ON CONFLICT (collection, id) DO UPDATE SET data = addon_documents.data || EXCLUDED.data, last_updated = NOW()`,
+                [collection, id, JSON.stringify(data)]
+            );
+        },
+        async delete(collection, id) {
+            await ready;
+            await pool.query('DELETE FROM addon_documents WHERE collection = $1 AND id = $2', [collection, id]);
+        },
+        async listIds(collection) {
+            await ready;
+            const result = await pool.query('SELECT id FROM addon_documents WHERE collection = $1', [collection]);
+            return result.rows.map(row => row.id);
+        }
+    };
+}
+
+/**
+ * Local driver with no dependencies: everything is kept in one JSON file (LOCAL_STORAGE_PATH,
+ * ./data/storage.json by default). Meant for self-hosting on a single instance and for tests.
+ * Writes are serialized and go through a temporary file, so a crash never leaves a half-written file.
+ */
+function createLocalStorage(filePath) {
+    let documents = null; // Format: { [collection]: { [id]: data } }
+    let loading = null; // Concurrent first calls share one read, so none of them replaces the others' changes
+    let writeQueue = Promise.resolve();
+
+    const load = () => {
+        if (!loading) {
+            loading = fs.promises.readFile(filePath, 'utf8').then(JSON.parse, error => {
+                if (error.code !== 'ENOENT') throw error;
+                return {};
+            }).then(docs => (documents = docs));
+            loading.catch(() => { loading = null; }); // Retry the read on the next call
+        }
+        return loading;
+    };
+    const persist = () => {
+        // Chained after the previous write whether or not it failed, so one failed write (e.g. a full disk)
+        // doesn't reject every later one; each write stores the complete current state anyway
+        writeQueue = writeQueue.catch(() => {}).then(async () => {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(`${filePath}.tmp`, JSON.stringify(documents, null, 2));
+            await fs.promises.rename(`${filePath}.tmp`, filePath);
+        });
+        return writeQueue;
+    };
+
+    return {
+        name: 'local',
+        async get(collection, id) {
+            const docs = await load();
+            return (docs[collection] && docs[collection][id]) || null;
+        },
+        async set(collection, id, data) {
+            const docs = await load();
+            docs[collection] = docs[collection] || {};
+            docs[collection][id] = { ...docs[collection][id], ...data, lastUpdated: new Date().toISOString() };
+            await persist();
+        },
+        async delete(collection, id) {
+            const docs = await load();
+            if (docs[collection]) {
+                delete docs[collection][id];
+                await persist();
+            }
+        },
+        async listIds(collection) {
+            const docs = await load();
+            return Object.keys(docs[collection] || {});
+        }
+    };
+}
+
+/**
+ * Creates the storage driver selected by STORAGE_DRIVER, or the best one available.
+ */
+function createStorage() {
+    const driver = process.env.STORAGE_DRIVER || (db ? 'firestore' : process.env.DATABASE_URL ? 'postgres' : 'local');
+    switch (driver) {
+        case 'firestore':
+            if (!db) {
+                throw new Error("STORAGE_DRIVER is 'firestore' but Firestore is not initialized. Check __firebase_config.");
+            }
+            return createFirestoreStorage(db);
+        case 'postgres':
+            if (!process.env.DATABASE_URL) {
+                throw new Error("STORAGE_DRIVER is 'postgres' but DATABASE_URL is not set.");
+            }
+            return createPostgresStorage(process.env.DATABASE_URL);
+        case 'local':
+            return createLocalStorage(process.env.LOCAL_STORAGE_PATH || path.join(__dirname, 'data', 'storage.json'));
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER '${driver}'. Use 'firestore', 'postgres' or 'local'.`);
+    }
+}
+
+// --- Secret Encryption at Rest (envelope encryption) ---
+// API keys and Trakt tokens are stored encrypted, so read access to the database alone doesn't expose them.
+// Each secret value is encrypted with its own random data key (AES-256-GCM), and that data key is encrypted
+// ("wrapped") with the master key from SECRETS_MASTER_KEY, which never leaves the server's environment.
+// A stored value looks like `enc:v1:<master key ID>:<wrapped data key>:<encrypted value>`.
+//
+// Rotating the master key: set SECRETS_MASTER_KEY to the new key and list the old one in
+// SECRETS_PREVIOUS_MASTER_KEYS (comma-separated). On startup, `migrateStoredSecrets` re-wraps every data key
+// with the new key (the values themselves are not re-encrypted); once it reports completion the old key can
+// be removed. The same sweep encrypts records stored in plaintext before encryption was enabled.
+// Generate a key with: node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+
+const ENCRYPTED_VALUE_PREFIX = 'enc:v1:';
+
+/**
+ * Parses a master key (32 bytes, base64 or hex encoded) into `{ id, key }`. The ID is derived from the key,
+ * so stored values record which master key wrapped them without revealing it.
+ */
+function parseMasterKey(encoded, name) {
+    const key = /^[0-9a-f]{64}$/i.test(encoded) ? Buffer.from(encoded, 'hex') : Buffer.from(encoded, 'base64');
+    if (key.length !== 32) {
+        throw new Error(`${name} must be a 32-byte key, base64 or hex encoded.`);
+    }
+    return { id: crypto.createHash('sha256').update(key).digest('hex').slice(0, 8), key };
+}
+
+const currentMasterKey = process.env.SECRETS_MASTER_KEY ? parseMasterKey(process.env.SECRETS_MASTER_KEY, 'SECRETS_MASTER_KEY') : null;
+const masterKeys = new Map([currentMasterKey, ...(process.env.SECRETS_PREVIOUS_MASTER_KEYS || '').split(',')
+    .map(encoded => encoded.trim())
+    .filter(Boolean)
+    .map(encoded => parseMasterKey(encoded, 'SECRETS_PREVIOUS_MASTER_KEYS'))]
+    .filter(Boolean)
+    .map(masterKey => [masterKey.id, masterKey.key]));
+
+/**
+ * AES-256-GCM encryption. Returns base64 of iv | auth tag | ciphertext. `aad` binds the ciphertext to its context.
+ */
+function aesGcmEncrypt(key, plaintext, aad) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    if (aad) cipher.setAAD(Buffer.from(aad));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+function aesGcmDecrypt(key, encoded, aad) {
+    const data = Buffer.from(encoded, 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, data.subarray(0, 12));
+    decipher.setAuthTag(data.subarray(12, 28));
+    if (aad) decipher.setAAD(Buffer.from(aad));
+    return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]);
+}
+
+function isEncryptedValue(value) {
+    return typeof value === 'string' && value.startsWith(ENCRYPTED_VALUE_PREFIX);
+}
+
+/**
+ * Encrypts a secret with a fresh data key wrapped by the current master key. `context` (collection, ID and field)
+ * is authenticated with the value, so an encrypted value copied to another record or field won't decrypt.
+ */
+function encryptSecret(plaintext, context) {
+    const dataKey = crypto.randomBytes(32);
+    const wrappedKey = aesGcmEncrypt(currentMasterKey.key, dataKey);
+    const ciphertext = aesGcmEncrypt(dataKey, Buffer.from(plaintext, 'utf8'), context);
+    return `${ENCRYPTED_VALUE_PREFIX}${currentMasterKey.id}:${wrappedKey}:${ciphertext}`;
+}
+
+/**
+ * Splits an encrypted value and unwraps its data key. Throws when the master key that wrapped it isn't configured.
+ */
+function unwrapSecret(value) {
+    const [keyId, wrappedKey, ciphertext] = value.slice(ENCRYPTED_VALUE_PREFIX.length).split(':');
+    const masterKey = masterKeys.get(keyId);
+    if (!masterKey) {
+        throw new Error(`A stored secret was encrypted with master key ${keyId}, which is not configured. ` +
+                        'Set SECRETS_MASTER_KEY (or list the key in SECRETS_PREVIOUS_MASTER_KEYS).');
+    }
+    return { keyId, dataKey: aesGcmDecrypt(masterKey, wrappedKey), ciphertext };
+}
+
+function decryptSecret(value, context) {
+    const { dataKey, ciphertext } = unwrapSecret(value);
+    return aesGcmDecrypt(dataKey, ciphertext, context).toString('utf8');
+}
+
+/**
+ * Returns the stored form a secret should have with the current master key, or null if it already has it:
+ * plaintext values get encrypted, values wrapped by a previous master key get their data key re-wrapped.
+ */
+function migrateSecret(value, context) {
+    if (!isEncryptedValue(value)) {
+        return encryptSecret(value, context);
+    }
+    const { keyId, dataKey, ciphertext } = unwrapSecret(value);
+    if (keyId === currentMasterKey.id) {
+        return null;
+    }
+    return `${ENCRYPTED_VALUE_PREFIX}${currentMasterKey.id}:${aesGcmEncrypt(currentMasterKey.key, dataKey)}:${ciphertext}`;
+}
+
+/**
+ * Wraps a storage driver so the fields listed in `secretFields` ({ [collection]: [field] }) are encrypted on
+ * `set` and decrypted on `get`. Other collections and fields pass through unchanged. Without a master key,
+ * secrets are stored as given (with a warning at startup), and reading an encrypted one fails.
+ */
+function createEncryptedStorage(inner, secretFields) {
+    const transformSecrets = (collection, id, data, transform) => {
+        const fields = secretFields[collection];
+        if (!data || !fields) {
+            return data;
+        }
+        const transformed = { ...data };
+        for (const field of fields) {
+            if (typeof data[field] === 'string' && data[field]) {
+                transformed[field] = transform(data[field], `${collection}/${id}/${field}`);
+            }
+        }
+        return transformed;
+    };
+
+    return {
+        ...inner,
+        async get(collection, id) {
+            return transformSecrets(collection, id, await inner.get(collection, id), (value, context) => {
+                const plaintext = isEncryptedValue(value) ? decryptSecret(value, context) : value;
+                registerStoredSecret(plaintext);
+                return plaintext;
+            });
+        },
+        async set(collection, id, data) {
+            await inner.set(collection, id, transformSecrets(collection, id, data, (value, context) => {
+                registerStoredSecret(value);
+                return currentMasterKey && !isEncryptedValue(value) ? encryptSecret(value, context) : value;
+            }));
+        },
+
+        /**
+         * Encrypts plaintext secrets and re-wraps data keys of previous master keys in every stored record.
+         * Resolves to the number of records updated.
+         */
+        async migrateSecrets() {
+            let updated = 0;
+            for (const [collection, fields] of Object.entries(secretFields)) {
+                for (const id of await inner.listIds(collection)) {
+                    const data = await inner.get(collection, id);
+                    if (!data) continue;
+                    const changes = {};
+                    for (const field of fields) {
+                        const migrated = typeof data[field] === 'string' && data[field]
+                            ? migrateSecret(data[field], `${collection}/${id}/${field}`)
+                            : null;
+                        if (migrated) changes[field] = migrated;
+                    }
+                    if (Object.keys(changes).length > 0) {
+                        await inner.set(collection, id, changes);
+                        updated++;
+                    }
+                }
+            }
+            return updated;
+        }
+    };
+}
+
+// Collections used with `storage`. API keys and settings are keyed by config ID
+// (or ADDON_CONFIG_USER_ID for the instance-wide configuration), Trakt tokens by config ID.
+const STORAGE_COLLECTIONS = {
+    apiKeys: 'api_keys',
+    traktTokens: 'trakt_tokens',
+    settings: 'settings',
+    responseCache: 'response_cache', // Only used with RESPONSE_CACHE_PERSIST=true
+    owner: 'owner',                  // The owner's password hash or claim token, under ADDON_CONFIG_USER_ID
+    ownerSessions: 'owner_sessions', // Keyed by the hash of the session ID
+    traktAuthStates: 'trakt_auth_states', // Trakt authorizations in progress (see savePendingTraktAuth)
+    maintenance: 'maintenance'           // State of maintenance tasks and server-wide keys, keyed by task
+};
+
+// Fields holding secrets, per collection. They are stored encrypted (see createEncryptedStorage).
+// Trakt client IDs are public identifiers and stay readable.
+const SECRET_FIELDS = {
+    [STORAGE_COLLECTIONS.apiKeys]: ['traktClientSecret', 'geminiApiKey', 'tmdbApiKey', 'fanartApiKey'],
+    [STORAGE_COLLECTIONS.traktTokens]: ['access_token', 'refresh_token'],
+    [STORAGE_COLLECTIONS.traktAuthStates]: ['clientSecret', 'deviceCode'],
+    [STORAGE_COLLECTIONS.maintenance]: ['signingKey']
+};
+
+const storage = createEncryptedStorage(createStorage(), SECRET_FIELDS);
+console.log(`Using '${storage.name}' storage backend.`);
+
 // IMPORTANT SECURITY NOTE FOR PRODUCTION:
 // Sensitive data like Trakt refresh tokens MUST be stored securely in a persistent database
-// (e.g., Firestore with Firebase Admin SDK). Storing them in-memory (userTraktTokens) will lead to data loss
-// whenever the server restarts, and is not suitable for multiple concurrent users.
-// The `tempTraktAuthData` is for temporary session management only.
-// For a full-fledged application, you would also need a robust user authentication system
-// to associate Stremio users with their Trakt tokens and viewing history persisted in Firestore.
+// (Firestore or Postgres). The local JSON file keeps them on the server's disk, which on hosts with
+// ephemeral filesystems (e.g. Render's free tier) is lost whenever the service is redeployed.
+// Set SECRETS_MASTER_KEY so they are encrypted at rest; without it they are stored in plaintext.
+
+/**
+ * Encrypts records stored before encryption was enabled and re-wraps those of previous master keys.
+ * This reads every stored record, so it only runs once per master key: afterwards every secret is
+ * encrypted when it is saved. Records saved in the meantime by an instance without a master key are
+ * read as plaintext and encrypted on their next save.
+ */
+async function migrateStoredSecrets() {
+    const state = await storage.get(STORAGE_COLLECTIONS.maintenance, 'secrets_migration');
+    if (state && state.masterKeyId === currentMasterKey.id) {
+        console.log(`Stored secrets are encrypted with master key ${currentMasterKey.id}.`);
+        return;
+    }
+    const updated = await storage.migrateSecrets();
+    await storage.set(STORAGE_COLLECTIONS.maintenance, 'secrets_migration', { masterKeyId: currentMasterKey.id });
+    console.log(`Stored secrets are encrypted with master key ${currentMasterKey.id} (${updated} record(s) migrated).`);
+}
 
+// The server only starts listening once the migration is done, so no token refresh can race with the rewrite.
+const secretsMigration = currentMasterKey
+    ? migrateStoredSecrets().catch(error => console.error('Migrating stored secrets to the current master key failed:', error))
+    : Promise.resolve(console.warn('SECRETS_MASTER_KEY is not set: API keys and Trakt tokens are stored in plaintext.'));
 
-// --- Global API Key Storage (will be populated from Firestore or env as fallback) ---
+
+// --- Global API Key Storage (will be populated from storage or env as fallback) ---
 // These keys will be dynamically loaded and used by the addon's core logic.
 let currentApiKeys = {
     traktClientId: process.env.TRAKT_CLIENT_ID || null,
     traktClientSecret: process.env.TRAKT_CLIENT_SECRET || null,
-    geminiApiKey: process.env.GEMINI_API_KEY || null
+    geminiApiKey: process.env.GEMINI_API_KEY || null,
+    tmdbApiKey: process.env.TMDB_API_KEY || null,     // Optional: artwork
+    fanartApiKey: process.env.FANART_API_KEY || null  // Optional: artwork
 };
 
-// Define a consistent "user ID" for storing the addon's global configuration in Firestore.
+// The API keys a configuration (or the instance) can store.
+const API_KEY_FIELDS = Object.keys(currentApiKeys);
+
+// Define a consistent "user ID" for storing the addon's global configuration in storage.
 // This allows a single deployed instance of the addon to persist its configuration.
 const ADDON_CONFIG_USER_ID = 'global_addon_config';
 
 /**
- * Fetches API keys from Firestore and updates the in-memory `currentApiKeys`.
- * Fallback to environment variables if Firestore is unavailable or keys not found.
+ * Fetches the instance-wide API keys from storage and updates the in-memory `currentApiKeys`.
+ * Fallback to environment variables if storage is unavailable or keys not found.
  */
-async function loadApiKeysFromFirestore() {
-    if (!db) {
-        console.warn("Firestore instance not available. Cannot load API keys from Firestore. Using environment variables.");
-        return;
-    }
+async function loadApiKeysFromStorage() {
     try {
-        const configDocRef = db.collection('artifacts').doc(appId)
-                                .collection('users').doc(ADDON_CONFIG_USER_ID)
-                                .collection('addon_config').doc('api_keys');
-        const docSnap = await configDocRef.get();
+        const data = await storage.get(STORAGE_COLLECTIONS.apiKeys, ADDON_CONFIG_USER_ID);
 
-        if (docSnap.exists) {
-            const data = docSnap.data();
+        if (data) {
             currentApiKeys.traktClientId = data.traktClientId || currentApiKeys.traktClientId;
             currentApiKeys.traktClientSecret = data.traktClientSecret || currentApiKeys.traktClientSecret;
             currentApiKeys.geminiApiKey = data.geminiApiKey || currentApiKeys.geminiApiKey;
-            console.log("API keys loaded from Firestore.");
+            currentApiKeys.tmdbApiKey = data.tmdbApiKey || currentApiKeys.tmdbApiKey;
+            currentApiKeys.fanartApiKey = data.fanartApiKey || currentApiKeys.fanartApiKey;
+            console.log(`API keys loaded from ${storage.name} storage.`);
         } else {
-            console.log("No API keys found in Firestore for this addon instance. Using environment variables as fallback.");
+            console.log("No API keys found in storage for this addon instance. Using environment variables as fallback.");
         }
     } catch (error) {
-        console.error("Error loading API keys from Firestore:", error);
+        console.error(`Error loading API keys from ${storage.name} storage:`, error);
         console.warn("Falling back to environment variables for API keys.");
     }
 }
 
+// Addon requests re-read the instance-wide keys at most this often instead of on every request.
+const API_KEYS_RELOAD_INTERVAL_MS = 5 * 60 * 1000;
+let apiKeysLoadedAt = 0;
+
+/**
+ * Reloads the instance-wide API keys from storage if they were last loaded more than
+ * API_KEYS_RELOAD_INTERVAL_MS ago.
+ */
+async function refreshApiKeysFromStorage() {
+    if (Date.now() - apiKeysLoadedAt < API_KEYS_RELOAD_INTERVAL_MS) {
+        return;
+    }
+    apiKeysLoadedAt = Date.now();
+    await loadApiKeysFromStorage();
+}
+
 // Call this function at server startup to load keys
-// This will attempt to load keys from Firestore, or use ENV vars if Firestore isn't connected or keys aren't stored yet.
-loadApiKeysFromFirestore();
+// This will attempt to load keys from storage, or use ENV vars if keys aren't stored yet.
+refreshApiKeysFromStorage();
+
+
+// --- Per-User Configuration (config IDs embedded in the addon URL) ---
+// Every person who configures the addon gets their own config ID, which becomes part of their
+// addon URL (e.g. https://<host>/<configId>/manifest.json). API keys and Trakt tokens are stored
+// per config ID, so several people can share one deployment without overwriting each other.
+// Keys a config doesn't provide fall back to the instance-wide `currentApiKeys`.
+
+// In-memory cache of per-user configurations, backed by `storage`. `loadedAt` is set when an entry was read from storage.
+const userConfigs = {}; // Format: { [configId]: { apiKeys: { traktClientId, traktClientSecret, geminiApiKey, tmdbApiKey, fanartApiKey }, traktTokens: { access_token, refresh_token, expires_at, needsReauth } | null, settings: {}, editTokenHash, loadedAt } }
+// Cached configs are re-read from storage at most this often, so changes made through another instance
+// (new Trakt tokens, settings, a deleted config) reach this one without a restart.
+const USER_CONFIG_RELOAD_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Checks that a value taken from a request has the shape of the IDs we generate with crypto.randomUUID().
+ */
+function isUuid(value) {
+    return typeof value === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+}
+
+/**
+ * Checks that a config ID taken from a URL has the shape of the IDs we generate (UUID v4).
+ */
+function isValidConfigId(configId) {
+    return isUuid(configId);
+}
+
+// Loads from storage that are still in flight, so concurrent requests for the same config share one object.
+const pendingUserConfigLoads = new Map(); // Format: { [configId]: Promise<object | null> }
+
+/**
+ * Loads a per-user configuration (API keys, Trakt tokens and settings), from the in-memory cache or storage.
+ * Cache entries older than USER_CONFIG_RELOAD_INTERVAL_MS, or all of them with `reload`, are read again.
+ * Returns null when the config ID is unknown.
+ */
+async function loadUserConfig(configId, { reload = false } = {}) {
+    const cached = userConfigs[configId];
+    if (cached && !reload && Date.now() - (cached.loadedAt || 0) < USER_CONFIG_RELOAD_INTERVAL_MS) {
+        return cached;
+    }
+    if (!pendingUserConfigLoads.has(configId)) {
+        const load = loadUserConfigFromStorage(configId).finally(() => pendingUserConfigLoads.delete(configId));
+        pendingUserConfigLoads.set(configId, load);
+    }
+    return pendingUserConfigLoads.get(configId);
+}
+
+async function loadUserConfigFromStorage(configId) {
+    try {
+        const [keys, tokens, settings] = await Promise.all([
+            storage.get(STORAGE_COLLECTIONS.apiKeys, configId),
+            storage.get(STORAGE_COLLECTIONS.traktTokens, configId),
+            storage.get(STORAGE_COLLECTIONS.settings, configId)
+        ]);
+        if (!keys) {
+            delete userConfigs[configId]; // e.g. deleted through another instance
+            return null;
+        }
+
+        const { traktClientId, traktClientSecret, geminiApiKey, tmdbApiKey, fanartApiKey } = keys;
+        userConfigs[configId] = {
+            apiKeys: { traktClientId, traktClientSecret, geminiApiKey, tmdbApiKey, fanartApiKey },
+            traktTokens: tokens && tokens.access_token
+                ? { access_token: tokens.access_token, refresh_token: tokens.refresh_token, expires_at: tokens.expires_at, redirect_uri: tokens.redirect_uri, needsReauth: !!tokens.needsReauth }
+                : null,
+            settings: settings || {},
+            editTokenHash: keys.editTokenHash || null, // See authorizeConfigEdit
+            loadedAt: Date.now()
+        };
+        return userConfigs[configId];
+    } catch (error) {
+        console.error(`Error loading configuration ${configId} from ${storage.name} storage:`, error);
+        return userConfigs[configId] || null; // Keep serving the cached copy while storage is unavailable
+    }
+}
+
+/**
+ * Saves per-user settings (preferences that are not API keys or tokens) and updates the in-memory copy.
+ */
+async function saveUserSettings(configId, settings) {
+    await storage.set(STORAGE_COLLECTIONS.settings, configId, settings);
+    if (userConfigs[configId]) {
+        userConfigs[configId].settings = { ...userConfigs[configId].settings, ...settings };
+    }
+}
+
+/**
+ * Returns the API keys to use for a request: the config's own keys, with the instance-wide
+ * keys filling any gaps. Requests without a config ID use the instance-wide keys only.
+ */
+function getEffectiveApiKeys(userConfig) {
+    const ownKeys = (userConfig && userConfig.apiKeys) || {};
+    return {
+        traktClientId: ownKeys.traktClientId || currentApiKeys.traktClientId,
+        traktClientSecret: ownKeys.traktClientSecret || currentApiKeys.traktClientSecret,
+        geminiApiKey: ownKeys.geminiApiKey || currentApiKeys.geminiApiKey,
+        tmdbApiKey: ownKeys.tmdbApiKey || currentApiKeys.tmdbApiKey,
+        fanartApiKey: ownKeys.fanartApiKey || currentApiKeys.fanartApiKey
+    };
+}
+
+// Trakt authorizations in progress, kept in storage so they survive restarts and work when Trakt's callback
+// (or a device-code poll) reaches another instance. Keys are `state:<OAuth state>` for the redirect flow
+// (Trakt's callback only provides 'code' and 'state', not the client credentials) and `device:<configId>`
+// for the device-code flow. Each entry expires with the authorization it belongs to.
+const TRAKT_REDIRECT_AUTH_TTL_MS = 15 * 60 * 1000;
+// Device-code tokens are refreshed with the out-of-band redirect URI.
+const TRAKT_DEVICE_REDIRECT_URI = 'urn:ietf:wg:oauth:2.0:oob';
+
+async function savePendingTraktAuth(key, data, ttlMs) {
+    await storage.set(STORAGE_COLLECTIONS.traktAuthStates, key, { ...data, expiresAt: Date.now() + ttlMs });
+}
+
+/**
+ * Returns a pending authorization, or null when there is none or it has expired (expired ones are deleted).
+ */
+async function getPendingTraktAuth(key) {
+    const pending = await storage.get(STORAGE_COLLECTIONS.traktAuthStates, key);
+    if (pending && pending.expiresAt <= Date.now()) {
+        await storage.delete(STORAGE_COLLECTIONS.traktAuthStates, key);
+        return null;
+    }
+    return pending;
+}
 
+/**
+ * Returns and deletes a pending authorization, so it can only be completed once.
+ */
+async function takePendingTraktAuth(key) {
+    const pending = await getPendingTraktAuth(key);
+    if (pending) {
+        await storage.delete(STORAGE_COLLECTIONS.traktAuthStates, key);
+    }
+    return pending;
+}
 
-// In-memory storage for Trakt tokens (DEMONSTRATION PURPOSES ONLY!)
-// In a real application, this would be a database lookup associated with a user ID.
-const userTraktTokens = {}; // Format: { [userId]: { access_token, refresh_token, expires_at } }
+/**
+ * Deletes expired pending authorizations. Flows the user abandoned are never read again, so without
+ * this sweep their entries (each with an encrypted client secret) would stay in storage.
+ */
+async function sweepExpiredTraktAuths() {
+    const keys = await storage.listIds(STORAGE_COLLECTIONS.traktAuthStates);
+    for (const key of keys) {
+        await getPendingTraktAuth(key);
+    }
+}
 
-// Temporary in-memory storage for Trakt client_secret and client_id during OAuth flow.
-// This is necessary because Trakt's callback only provides 'code' and 'state', not client credentials.
-const tempTraktAuthData = {}; // Format: { [state]: { clientId, clientSecret } }
+// Hourly: listing a collection reads one document per stored ID on Firestore (see its listIds)
+const TRAKT_AUTH_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+setInterval(() => {
+    sweepExpiredTraktAuths().catch(error => console.error('Could not remove expired Trakt authorizations:', error));
+}, TRAKT_AUTH_SWEEP_INTERVAL_MS).unref();
 
 // --- Express App Setup ---
 const app = express();
 const PORT = process.env.PORT || 3000; // Use port from environment variable or default to 3000
 
+/**
+ * Parses TRUST_PROXY into a value for Express's 'trust proxy' setting: a hop count, true/false,
+ * or a comma-separated list of proxy addresses and subnets.
+ */
+function parseTrustProxy(value) {
+    if (/^\d+$/.test(value)) {
+        return Number(value);
+    }
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+    return value;
+}
+
+// Proxies whose X-Forwarded-For entries are trusted, so `req.ip` is the client's address instead of the
+// proxy's (the sign-in limiter counts attempts per address). Render sets RENDER and adds one proxy hop.
+// Trusting proxies that aren't there would let clients pick their own address, so nothing is trusted by default.
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY || (process.env.RENDER ? '1' : 'false')));
+
 // Enable CORS for all routes, essential for Stremio to access the addon.
 app.use(cors());
 // Parse JSON request bodies
 app.use(bodyParser.json());
 
+/**
+ * Wraps an async route handler so an unexpected error (e.g. the storage backend failing) is answered
+ * with a 500. Express 4 ignores rejected handler promises, and an unhandled rejection ends the process.
+ */
+function asyncRoute(handler) {
+    return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(error => {
+        console.error(`Unexpected error in ${req.method} ${req.path}:`, error);
+        if (res.headersSent) {
+            return res.end();
+        }
+        res.status(500).json({ error: "Internal server error. Please try again later." });
+    });
+}
+
 // Helper function to dynamically get the base URL of the deployed application
 // This is crucial for correct redirects on platforms like Render.
 function getBaseUrl(req) {
@@ -120,145 +776,2346 @@ function getBaseUrl(req) {
     return `${protocol}://${host}`;
 }
 
-// --- Stremio Addon Endpoints ---
+// --- Trakt.tv API Helpers ---
 
-// Redirect root path to the /configure page
-app.get('/', (req, res) => {
-    res.redirect('/configure');
-});
+// Base URL of the Trakt.tv API. Overridable so local development can point at a stub server.
+const TRAKT_API_URL = process.env.TRAKT_API_URL || 'https://api.trakt.tv';
+
+// How many entries of each Trakt list are pulled into the Gemini prompt.
+const TRAKT_HISTORY_LIMIT = 50;
+const PROMPT_TITLES_PER_SECTION = 15;
 
 /**
- * Serves the Stremio Addon manifest file.
- * This file describes the addon's capabilities to Stremio.
- * Stremio clients will fetch this at /manifest.json.
+ * Maps a Stremio content type to the Trakt.tv list segment ('movies'/'shows')
+ * and the key under which Trakt nests the item ('movie'/'show').
  */
-app.get('/manifest.json', (req, res) => {
-    const manifest = {
-        "id": "com.gemini.stremio.recommender", // Unique ID for your addon
-        "version": "1.0.0", // Current version of your addon
-        "name": "Gemini AI Recommender", // Display name in Stremio
-        "description": "Stremio addon powered by Google Gemini AI for personalized movie/series recommendations and enhanced search. Integrates with Trakt.tv for viewing history.",
-        "logo": "https://developers.google.com/static/images/badges/dev-powered-by-google-light.png", // URL to your addon's logo
-        "background": "https://images.unsplash.com/photo-1534790566855-4cb788d389ec?auto=format&fit=crop&q=80&w=1974&ixlib=rb-4.0.3&ixid=M3wxMjA3fDB8MHxwaG90by1wYWdlfHx8fGVufDB8fHx8fA%3D%3D", // URL to a background image
-        "resources": [
-            "catalog", // Indicates the addon provides catalogs of content
-            "meta"     // Indicates the addon provides detailed metadata for items
-        ],
-        "types": [
-            "movie",   // Types of content supported (movies)
-            "series"   // Types of content supported (TV series)
-        ],
-        "idProperty": "imdb_id", // The common ID property used by Stremio for content
-        "catalogs": [
-            {
-                "type": "movie", // Catalog for movies
-                "id": "gemini_movie_recommendations", // Unique ID for this catalog
-                "name": "Gemini Movie Recs", // Display name for the movie catalog
-                "extraRequired": ["search"], // Stremio will pass 'search' query if user types in search bar
-                "extraSupported": ["search"] // Indicates support for search parameter
-            },
-            {
-                "type": "series", // Catalog for TV series
-                "id": "gemini_series_recommendations", // Unique ID for this catalog
-                "name": "Gemini Series Recs", // Display name for the series catalog
-                "extraRequired": ["search"],
-                "extraSupported": ["search"]
-            }
-        ],
-        "dontAnnounce": true, // Prevent auto-listing on addons.strem.io (manual install only)
-        "config": [] // We use a separate web UI for configuration, so no built-in Stremio config fields
-    };
-    res.json(manifest);
-});
+function getTraktTypeInfo(type) {
+    return type === 'series'
+        ? { segment: 'shows', key: 'show' }
+        : { segment: 'movies', key: 'movie' };
+}
+
+// Refresh access tokens this long before Trakt says they expire, so a request never races the expiry.
+const TRAKT_TOKEN_REFRESH_MARGIN_SECONDS = 60 * 60;
+
+// In-flight token refreshes per config ID. Concurrent requests share one refresh instead of
+// each spending the (single-use) refresh token.
+const pendingTraktRefreshes = new Map(); // Format: { [configId]: Promise<boolean> }
 
 /**
- * Handles requests for content catalogs (lists of movies/series).
- * This endpoint provides recommendations based on Gemini AI.
- * It's called when a user browses the "Gemini Movie Recs" or "Gemini Series Recs" catalog in Stremio.
+ * Creates the error thrown when a config's Trakt link can't be used until the user authorizes again.
+ * Callers can check `error.needsReauth` to tell it apart from transient API failures.
  */
-app.get('/catalog/:type/:id.json', async (req, res) => {
-    const { type, id } = req.params; // 'type' is 'movie' or 'series', 'id' is 'gemini_movie_recommendations' etc.
-    // 'extra' contains parameters like 'search', 'genre', 'user' (if passed by custom configuration).
-    const { search, extra } = req.query;
+function createTraktReauthError(configId, reason) {
+    const error = new Error(`Trakt.tv authorization for config ${configId} is no longer valid (${reason}). Please authorize Trakt.tv again.`);
+    error.needsReauth = true;
+    return error;
+}
 
-    // For a real app, 'userId' would be a robust identifier. Here, it's a placeholder.
-    // Stremio doesn't directly pass user IDs in catalog requests by default.
-    // A robust solution would involve the addon managing user identity.
-    const userId = extra?.user || 'anonymous_user'; // Using extra.user if available, otherwise a placeholder.
+/**
+ * Checks whether an access token is expired or will expire within the safety margin.
+ * `expires_at` is the absolute expiry in Unix seconds. Records saved by older versions stored Trakt's
+ * relative `expires_in` there instead (a value far below any real timestamp); those are treated as
+ * expired so they get refreshed once and rewritten with a proper expiry.
+ */
+function isTraktTokenExpiring(tokens) {
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    return !tokens.expires_at || tokens.expires_at < 1000000000 ||
+           tokens.expires_at - TRAKT_TOKEN_REFRESH_MARGIN_SECONDS <= nowSeconds;
+}
 
-    console.log(`Catalog request: Type=${type}, Catalog ID=${id}, Search Query=${search || 'N/A'}, User ID=${userId}`);
+/**
+ * Calls Trakt's OAuth token endpoint (authorization code exchange or refresh), or with `endpoint`
+ * another OAuth endpoint that answers the same way (the device-code endpoints).
+ * Resolves to `{ response, data }` so callers can inspect both the status and Trakt's error body.
+ */
+async function requestTraktOAuthToken(params, endpoint = '/oauth/token') {
+    const response = await fetch(`${TRAKT_API_URL}${endpoint}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(params)
+    });
+    const data = await response.json().catch(() => ({}));
+    return { response, data };
+}
 
-    let prompt = "";
-    let recommendedMetas = [];
+/**
+ * Revokes an access token at Trakt (and with it the refresh token), e.g. when a user unlinks Trakt.
+ */
+async function revokeTraktToken(token, clientId, clientSecret) {
+    const response = await fetch(`${TRAKT_API_URL}/oauth/revoke`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, client_id: clientId, client_secret: clientSecret })
+    });
+    if (!response.ok) {
+        throw new Error(`Trakt token revocation failed with status ${response.status}`);
+    }
+}
 
-    // Ensure API keys are loaded (though `loadApiKeysFromFirestore` runs on startup, this provides a safety)
-    await loadApiKeysFromFirestore();
+/**
+ * Stores a Trakt token response for a config, in memory and in storage.
+ * `expires_at` is always saved as the absolute expiry in Unix seconds (created_at + expires_in).
+ * The redirect URI used for the authorization is kept because Trakt requires it again on refresh.
+ */
+async function saveTraktTokens(configId, { access_token, refresh_token, expires_in, created_at }, redirectUri) {
+    const traktTokens = {
+        access_token,
+        refresh_token,
+        expires_at: (created_at || Math.floor(Date.now() / 1000)) + expires_in,
+        redirect_uri: redirectUri,
+        needsReauth: false
+    };
 
-    // Check for Gemini API key before proceeding with AI calls
-    if (!currentApiKeys.geminiApiKey) {
-        console.error("Gemini API key is not available. Cannot generate recommendations.");
-        return res.json({ metas: [{
-            id: `tt_no_gemini_key`,
-            type: type,
-            name: `Gemini API Key Missing`,
-            poster: `https://placehold.co/200x300/dc2626/FFFFFF?text=Error`,
-            posterShape: "regular",
-            description: "The Google Gemini API key is not configured. Please visit the addon's configuration page.",
-            genres: ["Error"]
-        }] });
+    // Stored first, so a reload of the cached config in the meantime can't bring back the old tokens
+    await storage.set(STORAGE_COLLECTIONS.traktTokens, configId, traktTokens);
+    const userConfig = await loadUserConfig(configId);
+    if (userConfig) {
+        userConfig.traktTokens = traktTokens;
     }
+    return traktTokens;
+}
 
-    // Initialize Gemini AI model with the current API key
-    const genAIForThisCall = new GoogleGenerativeAI(currentApiKeys.geminiApiKey);
-    const modelForThisCall = genAIForThisCall.getGenerativeModel({ model: "gemini-pro" });
+/**
+ * Returns a usable access token for a config, refreshing it first when it is about to expire.
+ * Throws a re-authorization error when the config has no Trakt link or its refresh token was revoked.
+ */
+async function getValidTraktAccessToken(configId) {
+    const userConfig = await loadUserConfig(configId);
+    const tokens = userConfig && userConfig.traktTokens;
+    if (!tokens || !tokens.access_token) {
+        throw createTraktReauthError(configId, 'not linked');
+    }
+    if (tokens.needsReauth) {
+        throw createTraktReauthError(configId, 'refresh token revoked');
+    }
+    if (isTraktTokenExpiring(tokens) && !(await refreshTraktToken(configId))) {
+        if (userConfig.traktTokens.needsReauth) {
+            throw createTraktReauthError(configId, 'refresh token revoked');
+        }
+        throw new Error(`Could not refresh the Trakt.tv access token for config ${configId}.`);
+    }
+    return userConfig.traktTokens.access_token;
+}
+
+/**
+ * The single entry point for Trakt.tv API requests.
+ * Public requests only need `clientId`. Requests made on behalf of a user pass `configId`: the user's
+ * access token is refreshed before it expires, and a 401 response triggers one refresh and retry
+ * (Trakt can revoke tokens early, e.g. when the user changes their password).
+ * Resolves to the parsed JSON body, or null for empty (204) responses.
+ */
+async function traktRequest(path, { clientId, configId, method = 'GET', body } = {}) {
+    let accessToken = null;
+    if (configId) {
+        accessToken = await getValidTraktAccessToken(configId);
+        clientId = clientId || getEffectiveApiKeys(await loadUserConfig(configId)).traktClientId;
+    }
+
+    const send = () => {
+        const headers = {
+            'Content-Type': 'application/json',
+            'trakt-api-version': '2',
+            'trakt-api-key': clientId
+        };
+        if (accessToken) {
+            headers['Authorization'] = `Bearer ${accessToken}`;
+        }
+        return fetch(`${TRAKT_API_URL}${path}`, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    };
+
+    let response = await send();
+    if (response.status === 401 && configId) {
+        console.warn(`Trakt rejected the access token for config ${configId} on ${path}. Refreshing and retrying once.`);
+        if (!(await refreshTraktToken(configId))) {
+            // Only a revoked refresh token needs a new authorization; other failures (network, missing keys) may pass
+            const { traktTokens } = (await loadUserConfig(configId)) || {};
+            if (traktTokens && traktTokens.needsReauth) {
+                throw createTraktReauthError(configId, 'access token rejected and refresh token revoked');
+            }
+            throw new Error(`Trakt rejected the access token for config ${configId} and it could not be refreshed.`);
+        }
+        accessToken = (await loadUserConfig(configId)).traktTokens.access_token;
+        response = await send();
+    }
+
+    if (!response.ok) {
+        throw new Error(`Trakt API request to ${path} failed with status ${response.status}`);
+    }
+    return response.status === 204 ? null : response.json();
+}
+
+/**
+ * Fetches the user's Trakt watch history, ratings and watchlist for the requested Stremio type.
+ * Each list is reduced to unique `{ title, year, imdbId, rating? }` entries. A failing list is logged
+ * and returned empty so one unavailable endpoint does not discard the rest of the profile.
+ */
+async function getTraktViewingProfile(configId, type) {
+    const { segment, key } = getTraktTypeInfo(type);
+
+    const [history, ratings, watchlist] = await Promise.allSettled([
+        traktRequest(`/users/me/history/${segment}?limit=${TRAKT_HISTORY_LIMIT}`, { configId }),
+        traktRequest(`/users/me/ratings/${segment}`, { configId }),
+        traktRequest(`/users/me/watchlist/${segment}`, { configId })
+    ]);
+
+    // Reduces a Trakt list response to unique titles of the requested type, keeping Trakt's order.
+    const toTitles = (result, listName) => {
+        if (result.status !== 'fulfilled') {
+            console.warn(`Could not fetch Trakt ${listName}:`, result.reason.message);
+            return [];
+        }
+        const seen = new Set();
+        const titles = [];
+        for (const entry of result.value || []) {
+            const item = entry[key];
+            if (!item || !item.title || seen.has(item.ids?.trakt || item.title)) continue;
+            seen.add(item.ids?.trakt || item.title);
+            titles.push({ title: item.title, year: item.year, imdbId: item.ids?.imdb, rating: entry.rating });
+        }
+        return titles;
+    };
+
+    return {
+        history: toTitles(history, 'history'),
+        ratings: toTitles(ratings, 'ratings').sort((a, b) => b.rating - a.rating),
+        watchlist: toTitles(watchlist, 'watchlist')
+    };
+}
+
+// How many recently watched titles per type get their own "Because you watched" catalog.
+const BECAUSE_YOU_WATCHED_SEEDS = 3;
+
+/**
+ * Returns the user's most recently watched distinct titles of a type (with IMDb IDs) as
+ * `{ imdbId, title, year }`, used to seed "Because you watched" catalogs.
+ */
+async function getRecentlyWatchedSeeds(configId, type, count = BECAUSE_YOU_WATCHED_SEEDS) {
+    const { segment, key } = getTraktTypeInfo(type);
+    const history = await traktRequest(`/users/me/history/${segment}?limit=${TRAKT_HISTORY_LIMIT}`, { configId });
+
+    const seeds = [];
+    for (const entry of history || []) {
+        const item = entry[key];
+        if (!item || !item.ids || !item.ids.imdb || seeds.some(seed => seed.imdbId === item.ids.imdb)) continue;
+        seeds.push({ imdbId: item.ids.imdb, title: item.title, year: item.year });
+        if (seeds.length >= count) break;
+    }
+    return seeds;
+}
+
+/**
+ * Formats a Trakt title entry as "Title (Year)" for use in prompts.
+ */
+function formatTitleForPrompt(item) {
+    return item.year ? `${item.title} (${item.year})` : item.title;
+}
+
+/**
+ * Returns the titles the user rated highly (7/10 or more), best first.
+ */
+function getLikedTitles(profile) {
+    return profile.ratings.filter(item => item.rating >= 7);
+}
+
+/**
+ * Formats the user's Trakt viewing profile as prompt sections.
+ * Returns an empty array when the profile holds nothing usable.
+ */
+function formatTraktProfileSections(type, profile) {
+    const { history, ratings, watchlist } = profile;
+    const liked = getLikedTitles(profile);
+    const disliked = ratings.filter(item => item.rating <= 4);
+
+    if (history.length === 0 && liked.length === 0 && watchlist.length === 0) {
+        return [];
+    }
+
+    const sections = [];
+    if (history.length > 0) {
+        sections.push(`Recently watched ${type}s:\n${history.slice(0, PROMPT_TITLES_PER_SECTION).map(formatTitleForPrompt).join('\n')}`);
+    }
+    if (liked.length > 0) {
+        sections.push(`Highly rated ${type}s (rating out of 10):\n${liked.slice(0, PROMPT_TITLES_PER_SECTION).map(item => `${formatTitleForPrompt(item)} - ${item.rating}/10`).join('\n')}`);
+    }
+    if (disliked.length > 0) {
+        sections.push(`Poorly rated ${type}s (avoid similar titles):\n${disliked.slice(0, PROMPT_TITLES_PER_SECTION).map(item => `${formatTitleForPrompt(item)} - ${item.rating}/10`).join('\n')}`);
+    }
+    if (watchlist.length > 0) {
+        sections.push(`${type}s already on the watchlist:\n${watchlist.slice(0, PROMPT_TITLES_PER_SECTION).map(formatTitleForPrompt).join('\n')}`);
+    }
+    return sections;
+}
+
+/**
+ * Builds the Gemini prompt from the user's Trakt viewing profile.
+ * Returns null when the profile holds nothing usable, so the caller can fall back to a generic prompt.
+ */
+function buildTraktProfilePrompt(type, profile, resultCount) {
+    const sections = formatTraktProfileSections(type, profile);
+    if (sections.length === 0) {
+        return null;
+    }
+
+    return `You are a ${type} recommendation engine. Here is a user's viewing profile from Trakt.tv:\n\n` +
+           `${sections.join('\n\n')}\n\n` +
+           `Based on this profile, suggest ${resultCount} ${type}s the user has not watched yet and that are not already listed above.`;
+}
+
+/**
+ * Builds the prompt for a user-defined catalog from its prompt template.
+ * Templates may use {count}, {type}, {last_watched} (the most recently watched title) and {favorites}
+ * (the user's highest rated titles). With a Trakt profile, the profile is added as context so
+ * templates like "90s sci-fi like my favorites" work and watched titles are avoided.
+ */
+function buildCustomCatalogPrompt(catalog, profile, resultCount) {
+    const { type } = catalog;
+    const history = profile ? profile.history : [];
+    const liked = profile ? getLikedTitles(profile) : [];
+    const request = catalog.prompt
+        .replace(/\{count\}/g, resultCount)
+        .replace(/\{type\}/g, type)
+        .replace(/\{last_watched\}/g, history.length > 0 ? formatTitleForPrompt(history[0]) : `a popular recent ${type}`)
+        .replace(/\{favorites\}/g, liked.length > 0 ? liked.slice(0, 5).map(formatTitleForPrompt).join(', ') : `popular, critically acclaimed ${type}s`);
+
+    const sections = profile ? formatTraktProfileSections(type, profile) : [];
+    const context = sections.length > 0
+        ? `\n\nFor context, here is the user's viewing profile from Trakt.tv. Don't suggest titles listed in it.\n\n${sections.join('\n\n')}`
+        : '';
+
+    return `You are a ${type} recommendation engine. The user asked for: "${request}".${context}\n\n` +
+           `Suggest ${resultCount} ${type}s that fit this request.`;
+}
+
+/**
+ * Builds the prompt for a "Because you watched" catalog: titles similar to one seed title,
+ * with the user's recent history listed so the model avoids what they've already seen.
+ */
+function buildBecauseYouWatchedPrompt(type, seed, profile, resultCount) {
+    const watched = profile ? profile.history.slice(0, PROMPT_TITLES_PER_SECTION).map(formatTitleForPrompt) : [];
+    const avoid = watched.length > 0 ? ` or any of these titles the user has already watched:\n${watched.join('\n')}` : '.';
+
+    return `You are a ${type} recommendation engine. The user recently watched ${formatTitleForPrompt(seed)}.\n\n` +
+           `Suggest ${resultCount} ${type}s that are similar to it in tone, themes and style. ` +
+           `Don't suggest ${formatTitleForPrompt(seed)} itself${avoid}`;
+}
+
+// --- Title Resolution (Gemini titles -> IMDb IDs via Trakt search) ---
+
+// Minimum title similarity (0..1) for a Trakt search result to be accepted as a match.
+const TITLE_MATCH_THRESHOLD = 0.75;
+// Release years reported by Gemini are often off by one (festival vs. theatrical release).
+const TITLE_YEAR_TOLERANCE = 1;
+
+// Cache of resolved titles, including misses (stored as null), so repeated catalog
+// requests don't search Trakt again for the same suggestion. Misses expire sooner, since
+// Trakt may add the title later.
+const TITLE_RESOLUTION_CACHE_TTL_MS = 7 * 24 * 3600 * 1000;
+const UNRESOLVED_TITLE_CACHE_TTL_MS = 3600 * 1000;
+const titleResolutionCache = createLruCache(10000); // Format: { [`${type}:${normalizedTitle}:${year}`]: { imdbId, title, year } | null }
+
+/**
+ * Caches the outcome of a title resolution (null for a miss) and returns it.
+ */
+function cacheTitleResolution(cacheKey, resolved) {
+    titleResolutionCache.set(cacheKey, resolved, Date.now() + (resolved ? TITLE_RESOLUTION_CACHE_TTL_MS : UNRESOLVED_TITLE_CACHE_TTL_MS));
+    return resolved;
+}
+
+/**
+ * Normalizes a title for comparison: lowercase, no diacritics or punctuation, '&' spelled out.
+ */
+function normalizeTitle(title) {
+    return title
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .replace(/^(the|a|an) /, '')
+        .trim();
+}
+
+/**
+ * Scores how similar two titles are, from 0 (unrelated) to 1 (identical after normalization),
+ * using the Dice coefficient over character bigrams.
+ */
+function titleSimilarity(a, b) {
+    const left = normalizeTitle(a);
+    const right = normalizeTitle(b);
+    if (left === right) return 1;
+    if (left.length < 2 || right.length < 2) return 0;
+
+    const bigrams = new Map();
+    for (let i = 0; i < left.length - 1; i++) {
+        const bigram = left.substring(i, i + 2);
+        bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+    let overlap = 0;
+    for (let i = 0; i < right.length - 1; i++) {
+        const bigram = right.substring(i, i + 2);
+        const count = bigrams.get(bigram) || 0;
+        if (count > 0) {
+            bigrams.set(bigram, count - 1);
+            overlap++;
+        }
+    }
+    return (2 * overlap) / (left.length + right.length - 2);
+}
+
+/**
+ * Splits a suggestion such as "Heat (1995)" into its title and year.
+ * The year is null when the suggestion doesn't end with one.
+ */
+function parseSuggestedTitle(suggestion) {
+    const match = suggestion.match(/^(.*?)\s*\((\d{4})(?:[-–]\d{0,4})?\)\s*$/);
+    if (match) {
+        return { title: match[1].trim(), year: parseInt(match[2], 10) };
+    }
+    return { title: suggestion.trim(), year: null };
+}
+
+/**
+ * Picks the best Trakt search result for a title.
+ * Results are ranked by title similarity, with a bonus for an exact year match.
+ * Returns null when no result is similar enough or, if a year is given, close enough in year.
+ */
+function pickBestTraktMatch(results, key, title, year) {
+    let best = null;
+    let bestScore = 0;
+
+    for (const result of results) {
+        const item = result[key];
+        if (!item || !item.ids || !item.ids.imdb) continue;
+
+        const similarity = Math.max(titleSimilarity(title, item.title), ...(item.aliases || []).map(alias => titleSimilarity(title, alias)));
+        if (similarity < TITLE_MATCH_THRESHOLD) continue;
+        if (year && item.year && Math.abs(item.year - year) > TITLE_YEAR_TOLERANCE) continue;
+
+        const score = similarity + (year && item.year === year ? 0.1 : 0);
+        if (score > bestScore) {
+            best = item;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+/**
+ * Looks up the title and year for an IMDb ID on Trakt. Returns `{ imdbId, title, year }` or null.
+ */
+async function lookupTitleByImdbId(imdbId, type, clientId) {
+    const { key } = getTraktTypeInfo(type);
+    const results = await traktRequest(`/search/imdb/${imdbId}?type=${key}`, { clientId });
+    const match = (results || []).find(result => result[key]);
+    return match ? { imdbId, title: match[key].title, year: match[key].year } : null;
+}
+
+/**
+ * Resolves a title (and optional year) to a verified IMDb ID through Trakt search.
+ * An IMDb ID suggested by Gemini is tried first, but only kept when Trakt confirms it belongs to a
+ * matching title (Gemini often hallucinates IDs). Otherwise searches within the year range first,
+ * then without it, since Trakt's year filter is exact.
+ * Returns `{ imdbId, title, year }` or null when the title can't be matched.
+ */
+async function resolveTitleToImdbId(title, year, type, clientId, suggestedImdbId) {
+    const { segment, key } = getTraktTypeInfo(type);
+    const cacheKey = `${type}:${normalizeTitle(title)}:${year || ''}`;
+    const cached = titleResolutionCache.get(cacheKey);
+    if (cached) {
+        return cached.value;
+    }
+
+    if (suggestedImdbId) {
+        const results = await traktRequest(`/search/imdb/${suggestedImdbId}?type=${key}`, { clientId });
+        const match = pickBestTraktMatch(results || [], key, title, year);
+        if (match) {
+            return cacheTitleResolution(cacheKey, { imdbId: match.ids.imdb, title: match.title, year: match.year });
+        }
+    }
+
+    const searchPath = `/search/${key}?query=${encodeURIComponent(title)}&fields=title,aliases&limit=10`;
+    const attempts = year
+        ? [`${searchPath}&years=${year - TITLE_YEAR_TOLERANCE}-${year + TITLE_YEAR_TOLERANCE}`, searchPath]
+        : [searchPath];
+
+    let match = null;
+    for (const path of attempts) {
+        const results = await traktRequest(path, { clientId });
+        match = pickBestTraktMatch(results || [], key, title, year);
+        if (match) break;
+    }
+
+    const resolved = match ? { imdbId: match.ids.imdb, title: match.title, year: match.year } : null;
+    if (!resolved) {
+        console.log(`Could not resolve "${title}"${year ? ` (${year})` : ''} to an IMDb ID on Trakt ${segment}.`);
+    }
+    return cacheTitleResolution(cacheKey, resolved);
+}
+
+/**
+ * Resolves a list of Gemini suggestions (`{ title, year, imdb_id, reason }`) to IMDb IDs, dropping
+ * suggestions that don't resolve (or fail to search) and duplicates that resolve to the same IMDb ID.
+ * Each resolved item keeps the suggestion's `reason`.
+ */
+async function resolveSuggestedTitles(suggestions, type, clientId) {
+    const resolved = await Promise.all(suggestions.map(async (suggestion) => {
+        // Gemini sometimes still writes the year into the title, e.g. "Heat (1995)".
+        const parsed = parseSuggestedTitle(suggestion.title);
+        const year = suggestion.year || parsed.year;
+        try {
+            const item = await resolveTitleToImdbId(parsed.title, year, type, clientId, suggestion.imdb_id);
+            return item && { ...item, reason: suggestion.reason };
+        } catch (error) {
+            console.error(`Error resolving "${suggestion.title}" on Trakt:`, error.message);
+            return null;
+        }
+    }));
+
+    const seen = new Set();
+    return resolved.filter(item => {
+        if (!item || seen.has(item.imdbId)) return false;
+        seen.add(item.imdbId);
+        return true;
+    });
+}
+
+// --- Metadata (Trakt.tv -> Stremio meta objects) ---
+
+/**
+ * Capitalizes a Trakt genre slug for display, e.g. 'science-fiction' -> 'Science Fiction'.
+ */
+function formatTraktGenre(slug) {
+    return slug.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+// Trakt's standard genres (GET /genres/movies and /genres/shows), offered as catalog genre filters.
+const TRAKT_GENRES = {
+    movie: [
+        'action', 'adventure', 'animation', 'anime', 'comedy', 'crime', 'documentary', 'drama', 'family',
+        'fantasy', 'history', 'holiday', 'horror', 'music', 'musical', 'mystery', 'romance', 'science-fiction',
+        'short', 'sporting-event', 'superhero', 'suspense', 'thriller', 'war', 'western'
+    ],
+    series: [
+        'action', 'adventure', 'animation', 'anime', 'biography', 'children', 'comedy', 'crime', 'documentary',
+        'drama', 'family', 'fantasy', 'game-show', 'history', 'holiday', 'home-and-garden', 'horror', 'mini-series',
+        'music', 'musical', 'mystery', 'news', 'reality', 'romance', 'science-fiction', 'short', 'soap',
+        'special-interest', 'sporting-event', 'superhero', 'suspense', 'talk-show', 'thriller', 'war', 'western'
+    ]
+};
+
+/**
+ * Maps a genre option picked in Stremio (e.g. 'Science Fiction') back to its Trakt slug, or null if unknown.
+ */
+function findTraktGenreSlug(type, genreName) {
+    return (TRAKT_GENRES[type] || []).find(slug => formatTraktGenre(slug) === genreName) || null;
+}
+
+// Trakt details and people used to check catalog filters, so titles seen again don't need another request.
+// Titles Trakt doesn't know (yet) are asked about again sooner.
+const TRAKT_DETAILS_CACHE_TTL_MS = 24 * 3600 * 1000;
+const MISSING_TRAKT_DETAILS_CACHE_TTL_MS = 3600 * 1000;
+const traktDetailsCache = createLruCache(10000); // Format: { [`${type}:${imdbId}`]: { genres, runtime, language } }
+const traktPeopleCache = createLruCache(10000);  // Format: { [`${type}:${imdbId}`]: [names] }
+
+/**
+ * Returns the genre slugs, runtime (minutes) and original language of a title from Trakt.
+ * Trakt accepts IMDb IDs in place of its own IDs.
+ */
+async function getTraktDetails(imdbId, type, clientId) {
+    const cacheKey = `${type}:${imdbId}`;
+    const cached = traktDetailsCache.get(cacheKey);
+    if (cached) {
+        return cached.value;
+    }
+    const { segment } = getTraktTypeInfo(type);
+    const item = await traktRequest(`/${segment}/${imdbId}?extended=full`, { clientId });
+    const details = { genres: (item && item.genres) || [], runtime: (item && item.runtime) || null, language: (item && item.language) || null };
+    traktDetailsCache.set(cacheKey, details, Date.now() + (item ? TRAKT_DETAILS_CACHE_TTL_MS : MISSING_TRAKT_DETAILS_CACHE_TTL_MS));
+    return details;
+}
+
+/**
+ * Returns the names of a title's cast and crew from Trakt.
+ */
+async function getTraktPeopleNames(imdbId, type, clientId) {
+    const cacheKey = `${type}:${imdbId}`;
+    const cached = traktPeopleCache.get(cacheKey);
+    if (cached) {
+        return cached.value;
+    }
+    const { segment } = getTraktTypeInfo(type);
+    const people = (await traktRequest(`/${segment}/${imdbId}/people`, { clientId })) || {};
+    const crew = Object.values(people.crew || {}).flat();
+    const names = [...(people.cast || []), ...crew].map(credit => credit.person && credit.person.name).filter(Boolean);
+    traktPeopleCache.set(cacheKey, names, Date.now() + (names.length > 0 ? TRAKT_DETAILS_CACHE_TTL_MS : MISSING_TRAKT_DETAILS_CACHE_TTL_MS));
+    return names;
+}
+
+/**
+ * Extracts the YouTube video ID from a Trakt trailer URL (youtube.com/watch?v=... or youtu.be/...).
+ */
+function getYouTubeId(url) {
+    const match = url && url.match(/(?:[?&]v=|youtu\.be\/|\/embed\/)([\w-]{11})/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Builds the Stremio `videos` list for a series from Trakt seasons fetched with `extended=full,episodes`.
+ * Video IDs follow Stremio's `<imdb_id>:<season>:<episode>` convention so stream addons can match them.
+ */
+function buildSeriesVideos(imdbId, seasons) {
+    const videos = [];
+    for (const season of seasons || []) {
+        for (const episode of season.episodes || []) {
+            videos.push({
+                id: `${imdbId}:${season.number}:${episode.number}`,
+                title: episode.title || `Episode ${episode.number}`,
+                season: season.number,
+                episode: episode.number,
+                released: episode.first_aired || undefined,
+                overview: episode.overview || undefined
+            });
+        }
+    }
+    return videos;
+}
+
+/**
+ * Looks up an IMDb ID on Trakt.tv and maps the full item (details, people and, for series,
+ * seasons and episodes) into a Stremio meta object. Returns null when Trakt doesn't know the ID.
+ */
+async function getTraktMeta(type, imdbId, clientId) {
+    const { segment, key } = getTraktTypeInfo(type);
+
+    const searchResults = await traktRequest(`/search/imdb/${imdbId}?type=${key}`, { clientId });
+    const match = (searchResults || []).find(result => result[key]);
+    if (!match) {
+        return null;
+    }
+
+    const traktId = match[key].ids.trakt;
+    const [item, people, seasons] = await Promise.all([
+        traktRequest(`/${segment}/${traktId}?extended=full`, { clientId }),
+        traktRequest(`/${segment}/${traktId}/people`, { clientId }).catch(error => {
+            console.warn(`Could not fetch Trakt people for ${imdbId}:`, error.message);
+            return {};
+        }),
+        type === 'series' ? traktRequest(`/shows/${traktId}/seasons?extended=full,episodes`, { clientId }) : Promise.resolve(null)
+    ]);
+
+    const crew = people.crew || {};
+    const crewNames = (department, job) => (crew[department] || [])
+        .filter(member => !job || (member.jobs || [member.job]).includes(job))
+        .map(member => member.person.name);
+
+    const meta = {
+        id: imdbId,
+        type: type,
+        name: item.title,
+        poster: getPlaceholderPoster(item.title),
+        posterShape: "regular",
+        description: item.overview || undefined,
+        releaseInfo: item.year ? `${item.year}` : undefined,
+        released: item.released ? new Date(item.released).toISOString() : (item.first_aired || undefined),
+        genres: (item.genres || []).map(formatTraktGenre),
+        runtime: item.runtime ? `${item.runtime} min` : undefined,
+        certification: item.certification || undefined,
+        country: item.country ? item.country.toUpperCase() : undefined,
+        language: item.language || undefined,
+        cast: (people.cast || []).slice(0, 10).map(member => member.person.name),
+        director: crewNames('directing', 'Director'),
+        writer: type === 'series' ? crewNames('created by') : crewNames('writing'),
+        website: item.homepage || undefined,
+        links: [
+            { name: 'Trakt', category: 'Trakt', url: `https://trakt.tv/${segment}/${match[key].ids.slug}` }
+        ]
+    };
+
+    if (item.certification) {
+        meta.links.push({ name: item.certification, category: 'Certification', url: `https://trakt.tv/${segment}/${match[key].ids.slug}` });
+    }
+    // Trakt's community rating, shown as a link: Stremio labels `imdbRating` as IMDb's, which this is not
+    if (item.rating) {
+        meta.links.push({ name: `${item.rating.toFixed(1)}/10`, category: 'Trakt rating', url: `https://trakt.tv/${segment}/${match[key].ids.slug}` });
+    }
+
+    const trailerId = getYouTubeId(item.trailer);
+    if (trailerId) {
+        meta.trailers = [{ source: trailerId, type: 'Trailer' }];
+    }
+
+    if (type === 'series') {
+        meta.videos = buildSeriesVideos(imdbId, seasons);
+        // Series show a year range, e.g. "2008-2013" for ended shows or "2019-" for running ones.
+        const lastAired = meta.videos.map(video => video.released).filter(Boolean).sort().pop();
+        if (item.year) {
+            const endYear = item.status === 'ended' && lastAired ? new Date(lastAired).getFullYear() : '';
+            meta.releaseInfo = endYear && endYear !== item.year ? `${item.year}-${endYear}` : (item.status === 'ended' ? `${item.year}` : `${item.year}-`);
+        }
+    }
+
+    return meta;
+}
+
+// --- Artwork (TMDB or fanart.tv) ---
+// Real posters, backgrounds and logos for resolved IMDb IDs, fetched with the user's own TMDB or fanart.tv
+// API key (instance-wide keys from the environment are the fallback). TMDB is tried first; fanart.tv fills
+// in whatever TMDB doesn't have. Without any key, tiles keep their placeholder posters.
+// The base URLs can be pointed at a local stub server for tests.
+
+const TMDB_API_URL = process.env.TMDB_API_URL || 'https://api.themoviedb.org/3';
+const TMDB_IMAGE_URL = process.env.TMDB_IMAGE_URL || 'https://image.tmdb.org/t/p';
+const FANART_API_URL = process.env.FANART_API_URL || 'https://webservice.fanart.tv/v3';
+const ARTWORK_REQUEST_TIMEOUT_MS = 10000;
+// Catalog pages look up artwork for this many titles at a time, to stay within the artwork APIs' rate limits.
+const ARTWORK_LOOKUP_CONCURRENCY = 5;
+
+// Artwork rarely changes; lookups that found nothing are retried sooner in case the title gets artwork later.
+// Failed lookups aren't cached at all.
+const ARTWORK_CACHE_TTL_MS = 7 * 24 * 3600 * 1000;
+const MISSING_ARTWORK_CACHE_TTL_MS = 24 * 3600 * 1000;
+const artworkCache = createLruCache(5000); // Format: { [`${type}:${imdbId}`]: { poster, background, logo } }
+
+/**
+ * Placeholder poster showing (the start of) the title, used when no artwork is available.
+ */
+function getPlaceholderPoster(title) {
+    return `https://placehold.co/200x300/1e293b/a8dadc?text=${encodeURIComponent(title.substring(0, Math.min(title.length, 15)))}`;
+}
+
+/**
+ * GETs JSON from an artwork API. Returns null for 404 (no artwork for this title).
+ */
+async function fetchArtworkJson(url, headers = {}) {
+    const response = await fetch(url, { headers, timeout: ARTWORK_REQUEST_TIMEOUT_MS });
+    if (response.status === 404) {
+        return null;
+    }
+    if (!response.ok) {
+        throw new Error(`Artwork request to ${url.split('?')[0]} failed with status ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * Fetches artwork from TMDB. Accepts both v3 API keys and v4 read access tokens (sent as a Bearer token).
+ */
+async function getTmdbArtwork(imdbId, type, apiKey) {
+    const isReadAccessToken = apiKey.includes('.');
+    const headers = isReadAccessToken ? { 'Authorization': `Bearer ${apiKey}` } : {};
+    const withKey = url => isReadAccessToken ? url : `${url}${url.includes('?') ? '&' : '?'}api_key=${encodeURIComponent(apiKey)}`;
+
+    const found = await fetchArtworkJson(withKey(`${TMDB_API_URL}/find/${imdbId}?external_source=imdb_id`), headers);
+    const tmdbType = type === 'movie' ? 'movie' : 'tv';
+    const item = found && (found[`${tmdbType}_results`] || [])[0];
+    if (!item) {
+        return {};
+    }
+
+    // Logos aren't part of /find results; prefer English or language-neutral ones
+    const images = await fetchArtworkJson(withKey(`${TMDB_API_URL}/${tmdbType}/${item.id}/images?include_image_language=en,null`), headers)
+        .catch(error => {
+            console.warn(`Could not fetch TMDB logos for ${imdbId}:`, error.message);
+            return null;
+        });
+    const logo = images && (images.logos || [])[0];
+
+    return {
+        poster: item.poster_path ? `${TMDB_IMAGE_URL}/w500${item.poster_path}` : undefined,
+        background: item.backdrop_path ? `${TMDB_IMAGE_URL}/original${item.backdrop_path}` : undefined,
+        logo: logo ? `${TMDB_IMAGE_URL}/w500${logo.file_path}` : undefined
+    };
+}
+
+/**
+ * Fetches artwork from fanart.tv. Series are looked up by TVDB ID, which Trakt provides.
+ */
+async function getFanartArtwork(imdbId, type, apiKey, clientId) {
+    let path = `/movies/${imdbId}`;
+    if (type === 'series') {
+        const results = await traktRequest(`/search/imdb/${imdbId}?type=show`, { clientId });
+        const show = (results || []).map(result => result.show).find(Boolean);
+        if (!show || !show.ids || !show.ids.tvdb) {
+            return {};
+        }
+        path = `/tv/${show.ids.tvdb}`;
+    }
+
+    const data = await fetchArtworkJson(`${FANART_API_URL}${path}?api_key=${encodeURIComponent(apiKey)}`);
+    if (!data) {
+        return {};
+    }
+    // fanart.tv lists images best-first; prefer English or language-neutral ones
+    const pick = (...fields) => {
+        const images = fields.flatMap(field => data[field] || []);
+        const image = images.find(candidate => !candidate.lang || ['en', '00'].includes(candidate.lang)) || images[0];
+        return image ? image.url : undefined;
+    };
+    return type === 'movie'
+        ? { poster: pick('movieposter'), background: pick('moviebackground'), logo: pick('hdmovielogo', 'movielogo') }
+        : { poster: pick('tvposter'), background: pick('showbackground'), logo: pick('hdtvlogo', 'clearlogo') };
+}
+
+/**
+ * Returns `{ poster, background, logo }` for a title (each possibly undefined), using the API keys available
+ * to the request. Lookup errors are logged and treated as missing artwork, so they never break a catalog,
+ * but the result isn't cached so the next request tries again.
+ */
+async function getArtwork(imdbId, type, apiKeys) {
+    if (!apiKeys.tmdbApiKey && !apiKeys.fanartApiKey) {
+        return {};
+    }
+    const cacheKey = `${type}:${imdbId}`;
+    const cached = artworkCache.get(cacheKey);
+    if (cached) {
+        return cached.value;
+    }
+
+    let artwork = {};
+    let failed = false;
+    if (apiKeys.tmdbApiKey) {
+        artwork = await getTmdbArtwork(imdbId, type, apiKeys.tmdbApiKey).catch(error => {
+            console.warn(`Could not fetch TMDB artwork for ${imdbId}:`, error.message);
+            failed = true;
+            return {};
+        });
+    }
+    if (apiKeys.fanartApiKey && (!artwork.poster || !artwork.background || !artwork.logo)) {
+        const fanart = await getFanartArtwork(imdbId, type, apiKeys.fanartApiKey, apiKeys.traktClientId).catch(error => {
+            console.warn(`Could not fetch fanart.tv artwork for ${imdbId}:`, error.message);
+            failed = true;
+            return {};
+        });
+        artwork = {
+            poster: artwork.poster || fanart.poster,
+            background: artwork.background || fanart.background,
+            logo: artwork.logo || fanart.logo
+        };
+    }
+
+    const found = Boolean(artwork.poster || artwork.background || artwork.logo);
+    if (failed) {
+        return artwork;
+    }
+    artworkCache.set(cacheKey, artwork, Date.now() + (found ? ARTWORK_CACHE_TTL_MS : MISSING_ARTWORK_CACHE_TTL_MS));
+    return artwork;
+}
+
+/**
+ * Looks up artwork for a list of titles, at most ARTWORK_LOOKUP_CONCURRENCY at a time.
+ * Resolves to one `{ poster, background, logo }` per title, in order.
+ */
+async function getArtworkForTitles(titles, type, apiKeys) {
+    const artwork = new Array(titles.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < titles.length) {
+            const index = next++;
+            artwork[index] = await getArtwork(titles[index].imdbId, type, apiKeys);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(ARTWORK_LOOKUP_CONCURRENCY, titles.length) }, worker));
+    return artwork;
+}
+
+// --- Structured Recommendation Output ---
+// Catalog prompts ask the model for a JSON array constrained by `RECOMMENDATIONS_SCHEMA` instead of free text,
+// so numbered lists, markdown and commentary lines can't end up as bogus titles.
+
+// How many times a malformed model response is sent back for repair before giving up.
+const LLM_JSON_REPAIR_ATTEMPTS = 1;
+
+const RECOMMENDATIONS_SCHEMA = {
+    type: SchemaType.ARRAY,
+    items: {
+        type: SchemaType.OBJECT,
+        properties: {
+            title: { type: SchemaType.STRING, description: "Original release title, without the year" },
+            year: { type: SchemaType.INTEGER, description: "Release year (first air year for series)", nullable: true },
+            imdb_id: { type: SchemaType.STRING, description: "IMDb ID such as tt0113277, or null if unsure", nullable: true },
+            reason: { type: SchemaType.STRING, description: "One short sentence on why this title was picked" }
+        },
+        required: ["title", "year", "imdb_id", "reason"]
+    }
+};
+
+// Appended to every catalog prompt; the schema enforces the shape, this tells Gemini what goes in it.
+const RECOMMENDATIONS_FORMAT_INSTRUCTIONS = `Respond with a JSON array. For each title give its "title" (without the year), ` +
+    `its release "year", its "imdb_id" if you are certain of it (otherwise null) and a one-sentence "reason" addressed to the user. ` +
+    `When their viewing history is given, tie the reason to it, e.g. "Because you rated Arrival 9/10".`;
+
+/**
+ * Parses the model's JSON response text into an array.
+ * Tolerates markdown code fences, text around the JSON and a wrapping object such as `{ "recommendations": [...] }`.
+ * Throws when no JSON array can be recovered.
+ */
+function parseRecommendationsJson(text) {
+    const cleaned = text.replace(/```(?:json)?/gi, '').trim();
+    let parsed;
+    try {
+        parsed = JSON.parse(cleaned);
+    } catch (error) {
+        const start = cleaned.indexOf('[');
+        const end = cleaned.lastIndexOf(']');
+        if (start === -1 || end <= start) {
+            throw new Error(`Response is not valid JSON: ${error.message}`);
+        }
+        parsed = JSON.parse(cleaned.substring(start, end + 1));
+    }
+
+    if (!Array.isArray(parsed) && parsed && typeof parsed === 'object') {
+        parsed = Object.values(parsed).find(Array.isArray);
+    }
+    if (!Array.isArray(parsed)) {
+        throw new Error("Response is not a JSON array.");
+    }
+    return parsed;
+}
+
+const MAX_REASON_LENGTH = 300;
+
+/**
+ * Validates parsed recommendations, normalizing each to `{ title, year, imdb_id, reason }`.
+ * Entries without a usable title are dropped; a malformed year or IMDb ID is replaced with null.
+ */
+function validateRecommendations(items) {
+    return items
+        .filter(item => item && typeof item.title === 'string' && item.title.replace(/[\s*_"]/g, '').length > 0)
+        .map(item => {
+            const year = parseInt(item.year, 10);
+            const imdbId = typeof item.imdb_id === 'string' ? item.imdb_id.trim() : '';
+            return {
+                title: item.title.replace(/^[\s*_"]+|[\s*_"]+$/g, ''), // Strip stray markdown emphasis or quotes
+                year: year >= 1870 && year <= new Date().getFullYear() + 5 ? year : null,
+                imdb_id: /^tt\d{7,}$/.test(imdbId) ? imdbId : null,
+                reason: typeof item.reason === 'string' ? item.reason.trim().slice(0, MAX_REASON_LENGTH) : ''
+            };
+        });
+}
+
+/**
+ * Sends a prompt to an LLM provider with a schema-constrained JSON response and returns `parse(text)`.
+ * `parse` throws on malformed text, which is then sent back for repair; `description` names the
+ * expected JSON in the repair prompt (e.g. "JSON array of recommendations").
+ */
+async function generateStructuredJson(provider, prompt, { schema, temperature, parse, description }) {
+    const generationOptions = { schema, temperature };
+
+    let text = await provider.generateText(prompt, generationOptions);
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return parse(text);
+        } catch (error) {
+            if (attempt >= LLM_JSON_REPAIR_ATTEMPTS) {
+                throw error;
+            }
+            console.warn(`Malformed ${provider.name} response (${error.message}). Asking the model to repair it.`);
+            text = await provider.generateText(
+                `The following text was supposed to be a ${description} but could not be parsed (${error.message}). ` +
+                `Return only the corrected JSON, keeping the same content.\n\n${text}`,
+                generationOptions
+            );
+        }
+    }
+}
+
+/**
+ * Sends a catalog prompt to an LLM provider with a schema-constrained JSON response and returns validated recommendations.
+ * `options.temperature` is passed on to the provider.
+ * A response that can't be parsed is sent back for repair; an empty array is a valid answer.
+ */
+async function generateRecommendations(provider, prompt, options = {}) {
+    return generateStructuredJson(provider, `${prompt}\n\n${RECOMMENDATIONS_FORMAT_INSTRUCTIONS}`, {
+        schema: RECOMMENDATIONS_SCHEMA,
+        temperature: options.temperature,
+        parse: text => validateRecommendations(parseRecommendationsJson(text)),
+        description: "JSON array of recommendations"
+    });
+}
+
+// --- Model & Generation Settings ---
+// Each config can choose the LLM provider and model, temperature, number of results and safety filtering.
+// Settings are stored in the 'settings' collection; anything not set falls back to these defaults.
+
+// Default model, overridable per deployment so a retired model can be replaced without a code change.
+const DEFAULT_GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.5-flash';
+
+// Models offered on the configure page. Any other model name can still be typed in.
+const SUGGESTED_GEMINI_MODELS = ['gemini-2.5-flash', 'gemini-2.5-flash-lite', 'gemini-2.5-pro', 'gemini-2.0-flash'];
+
+// Safety levels offered on the configure page, mapped to Gemini's block thresholds.
+// 'default' sends no safety settings and leaves Gemini's own defaults in place.
+const SAFETY_LEVELS = {
+    default: null,
+    block_none: HarmBlockThreshold.BLOCK_NONE,
+    block_only_high: HarmBlockThreshold.BLOCK_ONLY_HIGH,
+    block_medium_and_above: HarmBlockThreshold.BLOCK_MEDIUM_AND_ABOVE,
+    block_low_and_above: HarmBlockThreshold.BLOCK_LOW_AND_ABOVE
+};
+
+// Model used on OpenAI-compatible servers (see `createOpenAiCompatibleProvider`) unless a config picks another.
+const DEFAULT_OPENAI_MODEL = process.env.OPENAI_MODEL || 'llama3.1';
+
+const DEFAULT_GENERATION_SETTINGS = {
+    llmProvider: process.env.LLM_PROVIDER || 'gemini',
+    geminiModel: DEFAULT_GEMINI_MODEL,
+    llmModel: DEFAULT_OPENAI_MODEL,
+    temperature: 0.7,
+    resultCount: 20, // Titles per catalog page
+    safetyLevel: 'default',
+    excludeHidden: false, // Also skip titles hidden from recommendations on Trakt
+    traktScrobble: false // Report titles opened from the addon's catalogs to Trakt as "watching now"
+};
+
+const MIN_RESULT_COUNT = 20;
+const MAX_RESULT_COUNT = 100;
+
+/**
+ * Validates generation settings submitted from the configure page.
+ * Only the fields present are checked. Returns `{ settings, errors }`, where `settings` holds the
+ * normalized valid fields and `errors` maps each invalid field to a message.
+ */
+function validateGenerationSettings(input) {
+    const settings = {};
+    const errors = {};
+
+    if (input.llmProvider !== undefined) {
+        if (getAvailableLlmProviders().includes(input.llmProvider)) {
+            settings.llmProvider = input.llmProvider;
+        } else {
+            errors.llmProvider = `Provider must be one of: ${getAvailableLlmProviders().join(', ')}.`;
+        }
+    }
+    if (input.geminiModel !== undefined) {
+        const model = String(input.geminiModel).trim().replace(/^models\//, '');
+        if (/^[\w.-]+$/.test(model)) {
+            settings.geminiModel = model;
+        } else {
+            errors.geminiModel = "Model names may only contain letters, digits, '.', '-' and '_'.";
+        }
+    }
+    if (input.llmModel !== undefined) {
+        const model = String(input.llmModel).trim();
+        // Ollama model names look like 'llama3.1:8b' or 'library/qwen2.5'
+        if (/^[\w.:\/-]+$/.test(model)) {
+            settings.llmModel = model;
+        } else {
+            errors.llmModel = "Model names may only contain letters, digits, '.', ':', '/', '-' and '_'.";
+        }
+    }
+    if (input.temperature !== undefined) {
+        const temperature = Number(input.temperature);
+        if (Number.isFinite(temperature) && temperature >= 0 && temperature <= 2) {
+            settings.temperature = temperature;
+        } else {
+            errors.temperature = "Temperature must be a number between 0 and 2.";
+        }
+    }
+    if (input.resultCount !== undefined) {
+        const resultCount = Number(input.resultCount);
+        if (Number.isInteger(resultCount) && resultCount >= MIN_RESULT_COUNT && resultCount <= MAX_RESULT_COUNT) {
+            settings.resultCount = resultCount;
+        } else {
+            errors.resultCount = `Results per page must be a whole number between ${MIN_RESULT_COUNT} and ${MAX_RESULT_COUNT}.`;
+        }
+    }
+    if (input.safetyLevel !== undefined) {
+        if (Object.prototype.hasOwnProperty.call(SAFETY_LEVELS, input.safetyLevel)) {
+            settings.safetyLevel = input.safetyLevel;
+        } else {
+            errors.safetyLevel = `Safety level must be one of: ${Object.keys(SAFETY_LEVELS).join(', ')}.`;
+        }
+    }
+
+    if (input.excludeHidden !== undefined) {
+        if (typeof input.excludeHidden === 'boolean' || ['true', 'false'].includes(input.excludeHidden)) {
+            settings.excludeHidden = input.excludeHidden === true || input.excludeHidden === 'true';
+        } else {
+            errors.excludeHidden = "Exclude hidden titles must be true or false.";
+        }
+    }
+    if (input.traktScrobble !== undefined) {
+        if (typeof input.traktScrobble === 'boolean' || ['true', 'false'].includes(input.traktScrobble)) {
+            settings.traktScrobble = input.traktScrobble === true || input.traktScrobble === 'true';
+        } else {
+            errors.traktScrobble = "Trakt scrobbling must be true or false.";
+        }
+    }
+
+    return { settings, errors };
+}
+
+/**
+ * Returns the generation settings for a config, with defaults filling anything not (validly) stored.
+ */
+function getGenerationSettings(userConfig) {
+    const { settings } = validateGenerationSettings(pickGenerationSettings((userConfig && userConfig.settings) || {}));
+    return { ...DEFAULT_GENERATION_SETTINGS, ...settings };
+}
+
+/**
+ * Picks the generation setting fields out of an object (e.g. a request body or stored settings).
+ */
+function pickGenerationSettings(source) {
+    const picked = {};
+    for (const field of Object.keys(DEFAULT_GENERATION_SETTINGS)) {
+        if (source[field] !== undefined && source[field] !== '') {
+            picked[field] = source[field];
+        }
+    }
+    return picked;
+}
+
+/**
+ * Builds the Gemini safety settings for a safety level, or undefined for Gemini's defaults.
+ */
+function getSafetySettings(safetyLevel) {
+    const threshold = SAFETY_LEVELS[safetyLevel];
+    if (!threshold) {
+        return undefined;
+    }
+    return [
+        HarmCategory.HARM_CATEGORY_HARASSMENT,
+        HarmCategory.HARM_CATEGORY_HATE_SPEECH,
+        HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT,
+        HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT
+    ].map(category => ({ category, threshold }));
+}
+
+// --- LLM Providers (Gemini, OpenAI-compatible servers, offline mock) ---
+// Catalog prompts go through a provider object with a single method:
+//   generateText(prompt, { schema, temperature }) -> resolves to the model's raw (JSON) response text
+// Parsing, validation and repair of that text happen in `generateRecommendations`, the same for every provider.
+
+// Overrides the Gemini API endpoint, e.g. to point tests at a local stub server.
+const GEMINI_API_URL = process.env.GEMINI_API_URL || null;
+// OpenAI-compatible chat completions server configured for this deployment, e.g. a local
+// Ollama (http://localhost:11434/v1) or llama.cpp server (http://localhost:8080/v1).
+// It is set per deployment rather than per config so users can't make the server call arbitrary URLs.
+const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || null;
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY || null; // Optional: local servers usually don't need one
+const OPENAI_REQUEST_TIMEOUT_MS = 60000;
+// JSON file of canned responses for the mock provider (see `createMockProvider`).
+const LLM_MOCK_FIXTURES = process.env.LLM_MOCK_FIXTURES || null;
+
+// Responses of the mock provider when no fixture matches: fixed, well-known titles with real IMDb IDs.
+const BUILT_IN_MOCK_FIXTURES = {
+    movie: [
+        { title: "Heat", year: 1995, imdb_id: "tt0113277", reason: "A tense, character-driven crime epic." },
+        { title: "The Matrix", year: 1999, imdb_id: "tt0133093", reason: "Genre-defining science fiction action." },
+        { title: "Spirited Away", year: 2001, imdb_id: "tt0245429", reason: "An acclaimed animated fantasy." },
+        { title: "Inception", year: 2010, imdb_id: "tt1375666", reason: "A puzzle-box blockbuster." },
+        { title: "Arrival", year: 2016, imdb_id: "tt2543164", reason: "Thoughtful first-contact science fiction." }
+    ],
+    series: [
+        { title: "Breaking Bad", year: 2008, imdb_id: "tt0903747", reason: "A landmark crime drama." },
+        { title: "The Wire", year: 2002, imdb_id: "tt0306414", reason: "A sprawling, realistic city portrait." },
+        { title: "Dark", year: 2017, imdb_id: "tt5753856", reason: "An intricate time-travel mystery." },
+        { title: "Chernobyl", year: 2019, imdb_id: "tt7366338", reason: "A gripping historical miniseries." },
+        { title: "Severance", year: 2022, imdb_id: "tt11280740", reason: "A sharp workplace science fiction thriller." }
+    ]
+};
+
+/**
+ * Lists the providers this deployment can use. 'openai' needs OPENAI_BASE_URL; 'mock' is only offered
+ * when LLM_PROVIDER or LLM_MOCK_FIXTURES asks for it, so production users never pick it by accident.
+ */
+function getAvailableLlmProviders() {
+    const providers = ['gemini'];
+    if (OPENAI_BASE_URL) providers.push('openai');
+    if (process.env.LLM_PROVIDER === 'mock' || LLM_MOCK_FIXTURES) providers.push('mock');
+    return providers;
+}
+
+/**
+ * Google Gemini provider. JSON responses are constrained with Gemini's response schema.
+ * If the chosen model no longer exists (Gemini answers 404, as it does for retired models),
+ * the request is retried once with the deployment's default model so the catalog keeps working.
+ */
+function createGeminiProvider(apiKey, settings) {
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const requestOptions = GEMINI_API_URL ? { baseUrl: GEMINI_API_URL } : undefined;
+
+    const generate = async (modelName, prompt, { schema, temperature }) => {
+        const model = genAI.getGenerativeModel({ model: modelName, safetySettings: getSafetySettings(settings.safetyLevel) }, requestOptions);
+        const result = await model.generateContent({
+            contents: [{ role: 'user', parts: [{ text: prompt }] }],
+            generationConfig: {
+                temperature,
+                responseMimeType: 'application/json',
+                responseSchema: schema
+            }
+        });
+        return result.response.text();
+    };
+
+    return {
+        name: 'gemini',
+        async generateText(prompt, options) {
+            try {
+                return await generate(settings.geminiModel, prompt, options);
+            } catch (error) {
+                if (error.status === 404 && settings.geminiModel !== DEFAULT_GEMINI_MODEL) {
+                    console.warn(`Gemini model '${settings.geminiModel}' was not found. Falling back to '${DEFAULT_GEMINI_MODEL}'.`);
+                    return generate(DEFAULT_GEMINI_MODEL, prompt, options);
+                }
+                throw error;
+            }
+        }
+    };
+}
+
+/**
+ * Provider for OpenAI-compatible chat completion endpoints (OpenAI, Ollama, llama.cpp, vLLM, ...).
+ * These servers only guarantee JSON objects, so the schema is described in the system message and a
+ * top-level array is requested wrapped in `{ "results": [...] }`, which `parseRecommendationsJson` unwraps.
+ */
+function createOpenAiCompatibleProvider(settings) {
+    return {
+        name: 'openai',
+        async generateText(prompt, { schema, temperature }) {
+            const wrapInstruction = schema.type === SchemaType.ARRAY ? ' Wrap the array in an object under the key "results".' : '';
+            const headers = { 'Content-Type': 'application/json' };
+            if (OPENAI_API_KEY) {
+                headers['Authorization'] = `Bearer ${OPENAI_API_KEY}`;
+            }
+
+            const response = await fetch(`${OPENAI_BASE_URL.replace(/\/$/, '')}/chat/completions`, {
+                method: 'POST',
+                headers,
+                timeout: OPENAI_REQUEST_TIMEOUT_MS,
+                body: JSON.stringify({
+                    model: settings.llmModel,
+                    temperature,
+                    response_format: { type: 'json_object' },
+                    messages: [
+                        { role: 'system', content: `Answer only with JSON matching this schema: ${JSON.stringify(schema)}.${wrapInstruction}` },
+                        { role: 'user', content: prompt }
+                    ]
+                })
+            });
+            if (!response.ok) {
+                throw new Error(`OpenAI-compatible request failed with status ${response.status}: ${await response.text()}`);
+            }
+            const data = await response.json();
+            return data.choices && data.choices[0] && data.choices[0].message ? data.choices[0].message.content : '';
+        }
+    };
+}
+
+/**
+ * Deterministic offline provider for tests and demos: no network, same prompt -> same answer.
+ * LLM_MOCK_FIXTURES may point at a JSON array of `{ "match": "<text>", "response": <any> }`; the first fixture
+ * whose `match` occurs in the prompt (case-insensitive) wins. A string `response` is returned verbatim, which
+ * lets tests exercise the repair path; anything else is serialized as JSON. Without a match, built-in movie
+ * or series titles are returned depending on the prompt (or an empty object when an object is requested).
+ */
+function createMockProvider() {
+    const fixtures = LLM_MOCK_FIXTURES ? JSON.parse(fs.readFileSync(LLM_MOCK_FIXTURES, 'utf8')) : [];
+    return {
+        name: 'mock',
+        async generateText(prompt, { schema } = {}) {
+            const lowerPrompt = prompt.toLowerCase();
+            const fixture = fixtures.find(candidate => lowerPrompt.includes(String(candidate.match).toLowerCase()));
+            if (fixture) {
+                return typeof fixture.response === 'string' ? fixture.response : JSON.stringify(fixture.response);
+            }
+            if (schema && schema.type === SchemaType.OBJECT) {
+                return '{}'; // e.g. search constraints: nothing extracted
+            }
+            return JSON.stringify(lowerPrompt.includes('series') ? BUILT_IN_MOCK_FIXTURES.series : BUILT_IN_MOCK_FIXTURES.movie);
+        }
+    };
+}
+
+/**
+ * Creates the provider selected in a config's generation settings.
+ * Throws when the provider needs an API key the config doesn't have.
+ */
+function createLlmProvider(apiKeys, settings) {
+    switch (settings.llmProvider) {
+        case 'openai':
+            return createOpenAiCompatibleProvider(settings);
+        case 'mock':
+            return createMockProvider();
+        case 'gemini':
+        default:
+            if (!apiKeys.geminiApiKey) {
+                throw new Error("The Google Gemini API key is not configured.");
+            }
+            return createGeminiProvider(apiKeys.geminiApiKey, settings);
+    }
+}
+
+// --- Search Query Understanding ---
+// Free-text searches like "dark heist movies from the 70s under 2 hours, not Tarantino" are first turned into
+// structured constraints by the model. The constraints are spelled out in the recommendation prompt and
+// checked against each resolved title's Trakt metadata, so results respect them even when the model doesn't.
+
+/**
+ * Schema of the constraints extracted from a search query. Genre values are Trakt genre slugs.
+ */
+function getSearchConstraintsSchema(type) {
+    return {
+        type: SchemaType.OBJECT,
+        properties: {
+            topic: { type: SchemaType.STRING, description: "What the user is looking for, without the constraints below", nullable: true },
+            genres: { type: SchemaType.ARRAY, items: { type: SchemaType.STRING }, description: `Genres, only from: ${TRAKT_GENRES[type].join(', ')}` },
+            yearFrom: { type: SchemaType.INTEGER, description: "Earliest release year", nullable: true },
+            yearTo: { type: SchemaType.INTEGER, description: "Latest release year", nullable: true },
+            minRuntime: { type: SchemaType.INTEGER, description: "Minimum runtime in minutes", nullable: true },
+            maxRuntime: { type: SchemaType.INTEGER, description: "Maximum runtime in minutes", nullable: true },
+            includePeople: { type: SchemaType.ARRAY, items: { type: SchemaType.STRING }, description: "Actors or crew the titles should involve" },
+            excludePeople: { type: SchemaType.ARRAY, items: { type: SchemaType.STRING }, description: "Actors or crew the titles must not involve" },
+            language: { type: SchemaType.STRING, description: "Original language as an ISO 639-1 code, e.g. 'ko'", nullable: true },
+            tone: { type: SchemaType.STRING, description: "Mood or tone, e.g. 'dark', 'feel-good'", nullable: true }
+        },
+        required: ["topic", "genres", "yearFrom", "yearTo", "minRuntime", "maxRuntime", "includePeople", "excludePeople", "language", "tone"]
+    };
+}
+
+// Parsed constraints per query, so paging through a search or repeating it doesn't parse it again.
+const searchConstraintsCache = createLruCache(500);
+const SEARCH_CONSTRAINTS_TTL_MS = 24 * 3600 * 1000;
+
+/**
+ * Parses the model's JSON response text into an object. Tolerates code fences and text around the JSON.
+ */
+function parseJsonObject(text) {
+    const cleaned = text.replace(/```(?:json)?/gi, '').trim();
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        throw new Error("Response is not a JSON object.");
+    }
+    try {
+        return JSON.parse(cleaned.substring(start, end + 1));
+    } catch (error) {
+        throw new Error(`Response is not valid JSON: ${error.message}`);
+    }
+}
+
+/**
+ * Normalizes extracted constraints: unknown genres, implausible years and runtimes and
+ * malformed language codes are dropped, so a sloppy answer can only loosen the filter.
+ */
+function validateSearchConstraints(raw, type) {
+    const integerIn = (value, min, max) => Number.isInteger(value) && value >= min && value <= max ? value : null;
+    const names = value => Array.isArray(value)
+        ? value.filter(name => typeof name === 'string' && name.trim()).map(name => name.trim()).slice(0, 10)
+        : [];
+    const text = value => typeof value === 'string' && value.trim() ? value.trim() : null;
+    const maxYear = new Date().getFullYear() + 5;
+
+    const genres = names(raw.genres)
+        .map(genre => genre.toLowerCase().replace(/[\s_]+/g, '-'))
+        .filter(genre => TRAKT_GENRES[type].includes(genre));
+    const language = text(raw.language) && /^[a-z]{2}$/i.test(raw.language.trim()) ? raw.language.trim().toLowerCase() : null;
+
+    return {
+        topic: text(raw.topic),
+        genres: [...new Set(genres)],
+        yearFrom: integerIn(raw.yearFrom, 1870, maxYear),
+        yearTo: integerIn(raw.yearTo, 1870, maxYear),
+        minRuntime: integerIn(raw.minRuntime, 1, 1000),
+        maxRuntime: integerIn(raw.maxRuntime, 1, 1000),
+        includePeople: names(raw.includePeople),
+        excludePeople: names(raw.excludePeople),
+        language,
+        tone: text(raw.tone)
+    };
+}
+
+/**
+ * Extracts structured constraints from a search query. Returns null when the query can't be parsed,
+ * in which case the search runs on the raw text alone.
+ */
+async function getSearchConstraints(provider, search, type) {
+    const cacheKey = `${provider.name}:${type}:${search.toLowerCase()}`;
+    const cached = searchConstraintsCache.get(cacheKey);
+    if (cached) {
+        return cached.value;
+    }
+
+    try {
+        const constraints = await generateStructuredJson(provider,
+            `Extract the constraints from this search for ${type}s: "${search}".\n` +
+            `Decades like "the 70s" become a year range; "under 2 hours" becomes a maximum runtime of 120 minutes; ` +
+            `"not <name>" puts the person in excludePeople. Use null or an empty list for anything not mentioned.`, {
+                schema: getSearchConstraintsSchema(type),
+                temperature: 0, // Parsing should be deterministic
+                parse: text => validateSearchConstraints(parseJsonObject(text), type),
+                description: "JSON object of search constraints"
+            });
+        console.log(`Search constraints for "${search}":`, JSON.stringify(constraints));
+        searchConstraintsCache.set(cacheKey, constraints, Date.now() + SEARCH_CONSTRAINTS_TTL_MS);
+        return constraints;
+    } catch (error) {
+        console.error(`Could not parse the search query "${search}":`, error);
+        return null;
+    }
+}
+
+/**
+ * Builds the recommendation prompt for a search, spelling out the parsed constraints.
+ */
+function buildSearchPrompt(type, search, constraints, count) {
+    const lines = [`Find ${count} ${type}s matching this search: "${search}".`];
+    if (constraints) {
+        const { genres, yearFrom, yearTo, minRuntime, maxRuntime, includePeople, excludePeople, language, tone } = constraints;
+        if (constraints.topic) lines.push(`Subject: ${constraints.topic}.`);
+        if (genres.length > 0) lines.push(`Genres: ${genres.map(formatTraktGenre).join(', ')}.`);
+        if (yearFrom || yearTo) lines.push(`Released ${yearFrom && yearTo ? `between ${yearFrom} and ${yearTo}` : yearFrom ? `in ${yearFrom} or later` : `in ${yearTo} or earlier`}.`);
+        if (minRuntime) lines.push(`Runtime of at least ${minRuntime} minutes.`);
+        if (maxRuntime) lines.push(`Runtime of at most ${maxRuntime} minutes.`);
+        if (includePeople.length > 0) lines.push(`Involving: ${includePeople.join(', ')}.`);
+        if (excludePeople.length > 0) lines.push(`Not involving: ${excludePeople.join(', ')}.`);
+        if (language) lines.push(`Original language: ${language}.`);
+        if (tone) lines.push(`Tone: ${tone}.`);
+    }
+    lines.push("Focus on popular or critically acclaimed titles.");
+    return lines.join('\n');
+}
+
+/**
+ * Splits a person's name into lowercase words without diacritics or punctuation.
+ */
+function getNameTokens(name) {
+    return String(name).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Checks whether a name from a search ("Tarantino", "Quentin Tarantino") refers to one of the credited
+ * people: every word of it has to be a whole word of the credited name, so a surname matches the full name.
+ */
+function matchesAnyPerson(name, peopleTokens) {
+    const tokens = getNameTokens(name);
+    return tokens.length > 0 && peopleTokens.some(personTokens => tokens.every(token => personTokens.includes(token)));
+}
+
+/**
+ * Checks a resolved title against search constraints using its Trakt metadata.
+ * Metadata Trakt doesn't have (e.g. an unknown runtime) never rejects a title.
+ */
+async function titleMatchesSearchConstraints(title, constraints, type, clientId) {
+    const { genres, yearFrom, yearTo, minRuntime, maxRuntime, includePeople, excludePeople, language } = constraints;
+    if (title.year && ((yearFrom && title.year < yearFrom) || (yearTo && title.year > yearTo))) {
+        return false;
+    }
+
+    const details = await getTraktDetails(title.imdbId, type, clientId);
+    if (genres.length > 0 && details.genres.length > 0 && !genres.some(genre => details.genres.includes(genre))) {
+        return false;
+    }
+    if (details.runtime && ((minRuntime && details.runtime < minRuntime) || (maxRuntime && details.runtime > maxRuntime))) {
+        return false;
+    }
+    if (language && details.language && details.language !== language) {
+        return false;
+    }
+
+    if (includePeople.length > 0 || excludePeople.length > 0) {
+        const peopleTokens = (await getTraktPeopleNames(title.imdbId, type, clientId)).map(getNameTokens);
+        if (excludePeople.some(name => matchesAnyPerson(name, peopleTokens))) {
+            return false;
+        }
+        if (includePeople.length > 0 && !includePeople.some(name => matchesAnyPerson(name, peopleTokens))) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// --- Watched, Collected & Hidden Filtering ---
+// Recommendations for a linked Trakt account skip titles the user has watched, collected or (optionally)
+// hidden from recommendations on Trakt. These lists can be large, so they are cached per config and only
+// refetched when Trakt's /sync/last_activities reports a change to that particular list.
+
+// How often /sync/last_activities is checked per config.
+const TRAKT_ACTIVITY_CHECK_INTERVAL_MS = 60 * 1000;
+// How many extra rounds of suggestions are requested to replace excluded titles.
+const MAX_BACKFILL_ROUNDS = 2;
+// Models get unreliable when asked for long lists, so larger pages are requested in batches of this size.
+const MAX_TITLES_PER_REQUEST = 25;
+// How many already seen or offered titles are listed in follow-up prompts (the rest are still filtered out).
+const PROMPT_SEEN_TITLES_LIMIT = 100;
+
+// Trakt lists that can exclude titles, with the last_activities timestamp that changes with each list.
+const TRAKT_LIBRARY_LISTS = {
+    movie: {
+        watched: { path: '/sync/watched/movies', activityAt: activities => activities.movies && activities.movies.watched_at },
+        collection: { path: '/sync/collection/movies', activityAt: activities => activities.movies && activities.movies.collected_at },
+        hidden: { path: '/users/hidden/recommendations?type=movie&limit=1000', activityAt: activities => activities.movies && activities.movies.hidden_at }
+    },
+    series: {
+        // Shows count as watched/collected through their episodes
+        watched: { path: '/sync/watched/shows?extended=noseasons', activityAt: activities => activities.episodes && activities.episodes.watched_at },
+        collection: { path: '/sync/collection/shows', activityAt: activities => activities.episodes && activities.episodes.collected_at },
+        hidden: { path: '/users/hidden/recommendations?type=show&limit=1000', activityAt: activities => activities.shows && activities.shows.hidden_at }
+    }
+};
+
+const traktLibraries = new Map(); // Format: { [configId]: { activities, checkedAt, lists: { [type:list]: { activityAt, ids: Promise<Set> } } } }
+
+/**
+ * Returns the cached library state for a config, re-reading /sync/last_activities
+ * when it was last checked more than TRAKT_ACTIVITY_CHECK_INTERVAL_MS ago.
+ */
+async function getTraktLibrary(configId) {
+    let library = traktLibraries.get(configId);
+    if (!library) {
+        library = { activities: null, checkedAt: 0, lists: {} };
+        traktLibraries.set(configId, library);
+    }
+    if (Date.now() - library.checkedAt >= TRAKT_ACTIVITY_CHECK_INTERVAL_MS) {
+        library.activities = (await traktRequest('/sync/last_activities', { configId })) || {};
+        library.checkedAt = Date.now();
+    }
+    return library;
+}
+
+/**
+ * Returns the IMDb IDs a config's recommendations should skip for a type: watched and collected titles,
+ * plus hidden ones when `includeHidden` is set. Only lists whose last activity changed are refetched.
+ * Resolves to `{ ids: Set, version }`, where `version` changes whenever one of the lists does.
+ */
+async function getExcludedImdbIds(configId, type, includeHidden) {
+    const library = await getTraktLibrary(configId);
+    const { key } = getTraktTypeInfo(type);
+    const listNames = includeHidden ? ['watched', 'collection', 'hidden'] : ['watched', 'collection'];
+
+    const lists = await Promise.all(listNames.map(async (listName) => {
+        const list = TRAKT_LIBRARY_LISTS[type][listName];
+        const cacheKey = `${type}:${listName}`;
+        const activityAt = list.activityAt(library.activities) || null;
+
+        let cached = library.lists[cacheKey];
+        if (!cached || cached.activityAt !== activityAt) {
+            console.log(`Refreshing Trakt ${listName} ${type}s for config ${configId}.`);
+            cached = {
+                activityAt,
+                ids: traktRequest(list.path, { configId }).then(entries => new Set(
+                    (entries || []).map(entry => entry[key] && entry[key].ids && entry[key].ids.imdb).filter(Boolean)
+                ))
+            };
+            library.lists[cacheKey] = cached;
+            // A failed fetch is retried on the next request instead of being cached
+            cached.ids.catch(() => {
+                if (library.lists[cacheKey] === cached) delete library.lists[cacheKey];
+            });
+        }
+        return { ids: await cached.ids, activityAt };
+    }));
+
+    const ids = new Set();
+    lists.forEach(list => list.ids.forEach(id => ids.add(id)));
+    return { ids, version: lists.map(list => list.activityAt).join('|') };
+}
+
+/**
+ * Generates `count` new recommendations and resolves them to IMDb IDs, dropping titles in `excludedIds` and
+ * titles already in `previousTitles` (earlier pages). The model is asked for at most MAX_TITLES_PER_REQUEST titles
+ * at a time, with up to MAX_BACKFILL_ROUNDS extra requests to replace dropped titles. Titles seen so far are
+ * listed in follow-up prompts so the model doesn't repeat them. `buildPrompt(n)` returns the prompt asking for n titles.
+ * Titles failing the optional async `filter(title)` (e.g. a genre or search constraint check) are dropped as well.
+ */
+async function generateUnwatchedRecommendations(provider, buildPrompt, { type, clientId, count, temperature, excludedIds, previousTitles = [], filter = null }) {
+    const titles = [];
+    const rejected = [];
+    const isTaken = imdbId => (excludedIds && excludedIds.has(imdbId)) ||
+                              previousTitles.some(title => title.imdbId === imdbId) ||
+                              titles.some(title => title.imdbId === imdbId);
+    const maxRounds = Math.ceil(count / MAX_TITLES_PER_REQUEST) + MAX_BACKFILL_ROUNDS;
+
+    for (let round = 0; round < maxRounds && titles.length < count; round++) {
+        const missing = Math.min(count - titles.length, MAX_TITLES_PER_REQUEST);
+        const seen = [...previousTitles, ...titles, ...rejected].slice(-PROMPT_SEEN_TITLES_LIMIT);
+        const request = seen.length > 0
+            ? `${buildPrompt(missing)}\n\nDon't suggest any of these titles, the user has already seen or been offered them:\n` +
+              seen.map(formatTitleForPrompt).join('\n')
+            : buildPrompt(missing);
+
+        const suggestions = await generateRecommendations(provider, request, { temperature });
+        console.log(`${provider.name} suggestions:`, JSON.stringify(suggestions));
+
+        // Resolve each suggested title to a real IMDb ID through Trakt search; unresolved titles are dropped.
+        const resolvedTitles = await resolveSuggestedTitles(suggestions, type, clientId);
+        console.log(`Resolved ${resolvedTitles.length} of ${suggestions.length} suggested titles to IMDb IDs.`);
+
+        // Models are loose with genres and other constraints, so they are checked against Trakt's metadata
+        const filterMatches = await Promise.all(resolvedTitles.map(title => !filter || filter(title).catch(error => {
+            console.warn(`Could not check ${title.imdbId} against the catalog filters:`, error.message);
+            return false;
+        })));
+
+        resolvedTitles.forEach((title, index) => {
+            if (isTaken(title.imdbId) || !filterMatches[index]) {
+                rejected.push(title);
+            } else {
+                titles.push(title);
+            }
+        });
+        if (resolvedTitles.length === 0) {
+            break; // The model has run out of ideas
+        }
+    }
+    return titles.slice(0, count);
+}
+
+// --- Trakt Write-Back (scrobbling, watched, watchlist and ratings) ---
+// Linked accounts can send feedback to Trakt from Stremio, which feeds back into their recommendations:
+// opening a title from one of the addon's catalogs is scrobbled as "watching now" (through the subtitles
+// resource, which Stremio requests when playback starts), and the meta links offer marking a title watched,
+// adding it to the watchlist and rating it.
+
+// Stremio requests subtitles more than once per playback; repeated opens within this window are not re-sent.
+const SCROBBLE_DEDUP_WINDOW_MS = 10 * 60 * 1000;
+const recentScrobbles = new Map(); // Format: { [`${configId}:${videoId}`]: timestamp }
+
+// Actions offered as meta links. `path` is the Trakt sync endpoint each one posts to.
+const TRAKT_ACTIONS = {
+    watched: { label: 'Mark as watched', path: '/sync/history', done: 'marked as watched' },
+    watchlist: { label: 'Add to watchlist', path: '/sync/watchlist', done: 'added to your watchlist' },
+    rate: { label: 'Rate', path: '/sync/ratings', done: 'rated' }
+};
+
+/**
+ * Makes the next library lookup re-read /sync/last_activities, so a change the addon just made
+ * (e.g. marking a title watched) is reflected in the next catalog instead of a minute later.
+ */
+function markTraktLibraryStale(configId) {
+    const library = traktLibraries.get(configId);
+    if (library) {
+        library.checkedAt = 0;
+    }
+}
+
+/**
+ * Parses a Stremio video ID: `tt0111161` for movies, `tt0903747:1:2` for an episode of a series.
+ * Returns `{ imdbId, season?, episode? }`, or null for IDs the addon doesn't handle.
+ */
+function parseVideoId(videoId) {
+    const match = /^(tt\d+)(?::(\d+):(\d+))?$/.exec(videoId);
+    if (!match) {
+        return null;
+    }
+    return match[2] ? { imdbId: match[1], season: Number(match[2]), episode: Number(match[3]) } : { imdbId: match[1] };
+}
+
+/**
+ * Reports a title the user opened to Trakt as "watching now", if it was recommended in one of the addon's
+ * catalogs. Trakt turns it into a history entry only when the playback is scrobbled as finished, which
+ * Stremio doesn't tell addons, so a title has to be marked watched explicitly (see TRAKT_ACTIONS).
+ * Resolves to true when a scrobble was sent.
+ */
+async function scrobbleOpenedTitle(configId, type, videoId) {
+    const video = parseVideoId(videoId);
+    if (!video || !(await wasRecommended(configId, type, video.imdbId))) {
+        return false;
+    }
+
+    const dedupKey = `${configId}:${videoId}`;
+    if (Date.now() - (recentScrobbles.get(dedupKey) || 0) < SCROBBLE_DEDUP_WINDOW_MS) {
+        return false;
+    }
+    recentScrobbles.set(dedupKey, Date.now());
+    // Forget old entries so the map doesn't grow with every title ever opened
+    for (const [key, openedAt] of recentScrobbles) {
+        if (Date.now() - openedAt >= SCROBBLE_DEDUP_WINDOW_MS) recentScrobbles.delete(key);
+    }
+
+    const body = video.season !== undefined
+        ? { show: { ids: { imdb: video.imdbId } }, episode: { season: video.season, number: video.episode }, progress: 0 }
+        : { [getTraktTypeInfo(type).key]: { ids: { imdb: video.imdbId } }, progress: 0 };
+    await traktRequest('/scrobble/start', { configId, method: 'POST', body });
+    console.log(`Scrobbled ${videoId} as watching for config ${configId}.`);
+    return true;
+}
+
+/**
+ * Performs one of TRAKT_ACTIONS for a title on the config's Trakt account. `rating` (1-10) is required for 'rate'.
+ * Throws an error with `notFound` set when Trakt doesn't know the title.
+ */
+async function performTraktAction(configId, action, type, imdbId, rating) {
+    const { segment } = getTraktTypeInfo(type);
+    const item = action === 'rate' ? { ids: { imdb: imdbId }, rating } : { ids: { imdb: imdbId } };
+    const result = await traktRequest(TRAKT_ACTIONS[action].path, { configId, method: 'POST', body: { [segment]: [item] } });
+
+    const notFound = result && result.not_found && result.not_found[segment];
+    if (notFound && notFound.length > 0) {
+        const error = new Error(`Trakt.tv doesn't know ${imdbId}.`);
+        error.notFound = true;
+        throw error;
+    }
+    markTraktLibraryStale(configId);
+    console.log(`Trakt action '${action}' done for ${imdbId} (config ${configId}).`);
+}
+
+// Key signing the Trakt action links, created on first use and shared by all instances through storage.
+let traktActionKeyLoad = null;
+
+function getTraktActionKey() {
+    if (!traktActionKeyLoad) {
+        traktActionKeyLoad = (async () => {
+            const stored = await storage.get(STORAGE_COLLECTIONS.maintenance, 'trakt_action_links');
+            if (stored && stored.signingKey) {
+                return stored.signingKey;
+            }
+            await storage.set(STORAGE_COLLECTIONS.maintenance, 'trakt_action_links', { signingKey: generateToken() });
+            // Read back: if another instance created a key at the same time, every instance uses the one stored last
+            return (await storage.get(STORAGE_COLLECTIONS.maintenance, 'trakt_action_links')).signingKey;
+        })();
+        traktActionKeyLoad.catch(() => { traktActionKeyLoad = null; }); // Retry on the next link
+    }
+    return traktActionKeyLoad;
+}
+
+/**
+ * Signs one Trakt action on one title for one config. Config IDs are public (they are the addon URL),
+ * so the action pages only act on requests carrying this token, which only the meta links contain.
+ */
+async function signTraktAction(configId, action, type, imdbId) {
+    return crypto.createHmac('sha256', await getTraktActionKey())
+        .update(`${configId}:${action}:${type}:${imdbId}`)
+        .digest('base64url');
+}
+
+async function isValidTraktActionToken(token, configId, action, type, imdbId) {
+    return typeof token === 'string' && tokenHashesMatch(token, await signTraktAction(configId, action, type, imdbId));
+}
+
+/**
+ * Builds the meta links for TRAKT_ACTIONS. Each opens a confirmation page, so link previews or
+ * accidental clicks don't change anything on Trakt.
+ */
+async function buildTraktActionLinks(baseUrl, configId, type, imdbId) {
+    return Promise.all(Object.entries(TRAKT_ACTIONS).map(async ([action, { label }]) => ({
+        name: label,
+        category: 'Trakt actions',
+        url: `${baseUrl}/${configId}/trakt/${action}/${type}/${imdbId}?token=${await signTraktAction(configId, action, type, imdbId)}`
+    })));
+}
+
+// --- Response Cache (catalog and meta responses) ---
+// Stremio re-requests catalogs on every Discover/Board visit. Generated responses are kept in an in-memory
+// LRU and, with RESPONSE_CACHE_PERSIST=true, also in storage so they survive restarts and are shared between
+// instances. Catalog keys include the config, type, catalog ID, search string, a fingerprint of the Trakt
+// viewing profile and the generation settings, so new history or changed settings produce a fresh response.
+
+/**
+ * Reads a positive number of seconds from an environment variable, or returns the default.
+ */
+function readSecondsFromEnv(name, defaultSeconds) {
+    const value = Number(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : defaultSeconds;
+}
+
+const CACHE_TTL_SECONDS = {
+    catalog: readSecondsFromEnv('CATALOG_CACHE_TTL_SECONDS', 6 * 3600),  // Recommendation catalogs
+    search: readSecondsFromEnv('SEARCH_CACHE_TTL_SECONDS', 24 * 3600),   // Search results don't depend on new history
+    meta: readSecondsFromEnv('META_CACHE_TTL_SECONDS', 24 * 3600)        // Trakt metadata changes rarely
+};
+const RESPONSE_CACHE_MAX_ENTRIES = Number(process.env.RESPONSE_CACHE_MAX_ENTRIES) || 500;
+const RESPONSE_CACHE_PERSIST = process.env.RESPONSE_CACHE_PERSIST === 'true';
+
+/**
+ * Minimal LRU cache with per-entry expiry. A Map keeps insertion order, so re-inserting on
+ * every hit moves an entry to the end and the first key is always the least recently used.
+ */
+function createLruCache(maxEntries) {
+    const entries = new Map(); // Format: { [key]: { value, expiresAt (ms) } }
+    return {
+        get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            entries.delete(key);
+            if (entry.expiresAt <= Date.now()) return null;
+            entries.set(key, entry);
+            return entry;
+        },
+        set(key, value, expiresAt) {
+            entries.delete(key);
+            entries.set(key, { value, expiresAt });
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        }
+    };
+}
+
+const responseCache = createLruCache(RESPONSE_CACHE_MAX_ENTRIES);
+const pendingResponses = new Map(); // Format: { [cacheKey]: Promise } — requests for the same key share one generation
+
+/**
+ * Short, stable hash of any JSON-serializable value, used for fingerprints and storage document IDs.
+ */
+function fingerprint(value) {
+    return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex').slice(0, 32);
+}
+
+/**
+ * Looks a cache key up in memory, then (if enabled) in storage. Resolves to `{ value, expiresAt }` or null.
+ */
+async function readCachedResponse(key) {
+    const cached = responseCache.get(key);
+    if (cached || !RESPONSE_CACHE_PERSIST) {
+        return cached;
+    }
+    try {
+        const stored = await storage.get(STORAGE_COLLECTIONS.responseCache, fingerprint(key));
+        if (stored && stored.key === key && stored.expiresAt > Date.now()) {
+            const value = JSON.parse(stored.value);
+            responseCache.set(key, value, stored.expiresAt);
+            return { value, expiresAt: stored.expiresAt };
+        }
+    } catch (error) {
+        console.error(`Error reading cached response from ${storage.name} storage:`, error);
+    }
+    return null;
+}
+
+/**
+ * Stores a response in memory and (if enabled) in storage until `expiresAt` (ms).
+ */
+async function writeCachedResponse(key, value, expiresAt) {
+    responseCache.set(key, value, expiresAt);
+    if (RESPONSE_CACHE_PERSIST) {
+        try {
+            // Serialized so storage drivers don't merge old and new responses field by field
+            await storage.set(STORAGE_COLLECTIONS.responseCache, fingerprint(key), { key, value: JSON.stringify(value), expiresAt });
+        } catch (error) {
+            console.error(`Error writing cached response to ${storage.name} storage:`, error);
+        }
+    }
+    return { value, expiresAt };
+}
+
+/**
+ * Returns the cached response for `key`, or calls `produce()` and caches its result.
+ * `produce` resolves to `{ value, cacheable }`; uncacheable values (e.g. error tiles) are returned but not stored.
+ * Resolves to `{ value, expiresAt }`, where `expiresAt` is null for uncacheable values.
+ */
+async function getOrProduceCachedResponse(key, ttlSeconds, produce) {
+    if (ttlSeconds <= 0) {
+        const { value } = await produce();
+        return { value, expiresAt: null };
+    }
+    const cached = await readCachedResponse(key);
+    if (cached) {
+        return cached;
+    }
+    if (pendingResponses.has(key)) {
+        return pendingResponses.get(key);
+    }
+
+    const pending = (async () => {
+        const { value, cacheable } = await produce();
+        return cacheable ? writeCachedResponse(key, value, Date.now() + ttlSeconds * 1000) : { value, expiresAt: null };
+    })().finally(() => pendingResponses.delete(key));
+    pendingResponses.set(key, pending);
+    return pending;
+}
+
+// Catalog pages are slices of a result set that grows as the user scrolls: { titles, exhausted }.
+// A result set keeps the expiry of its first page, so all pages of one "session" stay consistent and expire together.
+const MAX_RESULT_SET_SIZE = 300;
+const cacheEntryLocks = new Map(); // Format: { [cacheKey]: Promise } — serializes updates of the same cache entry
+
+/**
+ * Runs `update()` once earlier updates of the same cache key have finished, so read-modify-write
+ * updates of one entry (e.g. growing a result set) don't overwrite each other.
+ */
+function withCacheEntryLock(key, update) {
+    const previous = cacheEntryLocks.get(key) || Promise.resolve();
+    const result = previous.then(update);
+
+    // The lock never rejects: a failed update only fails its own request
+    const lock = result.then(() => {}, () => {}).finally(() => {
+        if (cacheEntryLocks.get(key) === lock) cacheEntryLocks.delete(key);
+    });
+    cacheEntryLocks.set(key, lock);
+    return result;
+}
+
+/**
+ * Returns the titles at [skip, skip + pageSize) of a cached result set, calling `generateMore(previousTitles, count)`
+ * to grow the set when it is too short. A set that can't grow any more is marked exhausted,
+ * so later pages past its end come back empty without asking the model again.
+ * Resolves to `{ titles, expiresAt }`.
+ */
+async function getResultSetPage(key, ttlSeconds, skip, pageSize, generateMore) {
+    return withCacheEntryLock(key, async () => {
+        const cached = await readCachedResponse(key);
+        let resultSet = cached ? cached.value : { titles: [], exhausted: false };
+        let expiresAt = cached ? cached.expiresAt : Date.now() + ttlSeconds * 1000;
+
+        const wanted = Math.min(skip + pageSize, MAX_RESULT_SET_SIZE);
+        if (resultSet.titles.length < wanted && !resultSet.exhausted) {
+            const newTitles = await generateMore(resultSet.titles, wanted - resultSet.titles.length);
+            resultSet = {
+                titles: [...resultSet.titles, ...newTitles],
+                exhausted: newTitles.length === 0 || wanted >= MAX_RESULT_SET_SIZE
+            };
+            // An empty set usually means generation or title resolution failed, so it isn't kept
+            if (ttlSeconds > 0 && resultSet.titles.length > 0) {
+                await writeCachedResponse(key, resultSet, expiresAt);
+            } else {
+                expiresAt = null;
+            }
+        }
+        return { titles: resultSet.titles.slice(skip, skip + pageSize), expiresAt };
+    });
+}
+
+// Titles recommended to a config, per type, with why each was picked: { [imdbId]: reason or '' }. The reasons are
+// stored with the result sets; this index lets /meta find them by IMDb ID, and tells the scrobbling hook which
+// titles came from the addon's catalogs. It expires like a catalog, counted from its last update. Requests without
+// a config ID share the instance-wide index, like their result sets.
+const reasonsCacheKey = (configId, type) => `reasons:${configId || ADDON_CONFIG_USER_ID}:${type}`;
+
+/**
+ * Records newly recommended titles (and their reasons) for a config.
+ */
+async function recordRecommendationReasons(configId, type, titles) {
+    if (titles.length === 0 || CACHE_TTL_SECONDS.catalog <= 0) {
+        return;
+    }
+    const key = reasonsCacheKey(configId, type);
+    await withCacheEntryLock(key, async () => {
+        const cached = await readCachedResponse(key);
+        const reasons = { ...(cached ? cached.value : {}) };
+        titles.forEach(({ imdbId, reason }) => { reasons[imdbId] = reason || ''; });
+        await writeCachedResponse(key, reasons, Date.now() + CACHE_TTL_SECONDS.catalog * 1000);
+    });
+}
+
+/**
+ * Checks whether a title was recently recommended to a config in one of the addon's catalogs.
+ */
+async function wasRecommended(configId, type, imdbId) {
+    const cached = await readCachedResponse(reasonsCacheKey(configId, type));
+    return Boolean(cached && Object.prototype.hasOwnProperty.call(cached.value, imdbId));
+}
+
+/**
+ * Returns the reason a title was recommended to a config, or null.
+ */
+async function getRecommendationReason(configId, type, imdbId) {
+    const cached = await readCachedResponse(reasonsCacheKey(configId, type));
+    return (cached && cached.value[imdbId]) || null;
+}
+
+/**
+ * Sends a (possibly cached) Stremio response with matching `Cache-Control` and `cacheMaxAge`,
+ * both set to the time the response has left in our cache. Uncacheable responses get `no-store`.
+ */
+function sendCachedResponse(res, { value, expiresAt }) {
+    if (!expiresAt) {
+        res.set('Cache-Control', 'no-store');
+        return res.json(value);
+    }
+    const maxAge = Math.max(0, Math.floor((expiresAt - Date.now()) / 1000));
+    res.set('Cache-Control', `public, max-age=${maxAge}`);
+    res.json({ ...value, cacheMaxAge: maxAge });
+}
+
+
+// --- Stremio Addon Endpoints ---
+
+// Redirect root path to the /configure page
+app.get('/', (req, res) => {
+    res.redirect('/configure');
+});
+
+// Every route with a :configId segment (e.g. /:configId/manifest.json) only accepts config IDs
+// we could have generated, and loads that config into `req.userConfig` for the route handler.
+app.param('configId', async (req, res, next, configId) => {
+    if (!isValidConfigId(configId)) {
+        return res.status(404).json({ error: "Unknown configuration." });
+    }
+    req.userConfig = await loadUserConfig(configId);
+    if (!req.userConfig) {
+        return res.status(404).json({ error: "Unknown configuration. Please configure the addon again." });
+    }
+    next();
+});
+
+// Stremio's "Configure" button opens <addon base URL>/configure, so send it to the configure page for that config.
+app.get('/:configId/configure', (req, res) => {
+    res.redirect(`/configure?configId=${req.params.configId}`);
+});
+
+// Catalogs offered by the addon, by kind:
+//   'recommendations' - suggestions based on the user's Trakt profile (or what's trending without one)
+//   'search'          - natural-language search, e.g. "heist movies set in the 70s"
+//   'custom'          - themed catalogs users define on the configure page (see `getUserCatalogs`)
+//   'because'         - "Because you watched X" rows seeded from recent Trakt history (see `getManifestCatalogs`)
+const CATALOGS = [
+    { type: 'movie', id: 'gemini_movie_recommendations', name: 'Gemini Movie Recs', kind: 'recommendations' },
+    { type: 'series', id: 'gemini_series_recommendations', name: 'Gemini Series Recs', kind: 'recommendations' },
+    { type: 'movie', id: 'gemini_movie_search', name: 'Gemini Movie Search', kind: 'search' },
+    { type: 'series', id: 'gemini_series_search', name: 'Gemini Series Search', kind: 'search' }
+];
+
+// User-defined catalogs ('custom' kind) are stored in the config's settings as `customCatalogs`:
+// [{ id: 'custom_<hex>', name, type, prompt }] (see `buildCustomCatalogPrompt` for the prompt placeholders).
+const MAX_CUSTOM_CATALOGS = 10;
+const MAX_CUSTOM_CATALOG_NAME_LENGTH = 50;
+const MAX_CUSTOM_CATALOG_PROMPT_LENGTH = 500;
+
+/**
+ * Validates user-defined catalog definitions from the configure page.
+ * Returns `{ catalogs, errors }`; catalogs keep a valid existing ID so installed rows stay stable,
+ * and new ones get a random ID.
+ */
+function validateCustomCatalogs(input) {
+    const errors = [];
+    if (!Array.isArray(input)) {
+        return { catalogs: [], errors: ["Custom catalogs must be a list."] };
+    }
+    if (input.length > MAX_CUSTOM_CATALOGS) {
+        errors.push(`At most ${MAX_CUSTOM_CATALOGS} custom catalogs are allowed.`);
+    }
+
+    const catalogs = [];
+    input.slice(0, MAX_CUSTOM_CATALOGS).forEach((entry, index) => {
+        const label = `Custom catalog ${index + 1}`;
+        const name = String((entry && entry.name) || '').trim();
+        const prompt = String((entry && entry.prompt) || '').trim();
+        const type = entry && entry.type;
+
+        if (!name || name.length > MAX_CUSTOM_CATALOG_NAME_LENGTH) {
+            errors.push(`${label}: the name must be 1-${MAX_CUSTOM_CATALOG_NAME_LENGTH} characters.`);
+        } else if (!['movie', 'series'].includes(type)) {
+            errors.push(`${label}: the type must be 'movie' or 'series'.`);
+        } else if (!prompt || prompt.length > MAX_CUSTOM_CATALOG_PROMPT_LENGTH) {
+            errors.push(`${label}: the prompt must be 1-${MAX_CUSTOM_CATALOG_PROMPT_LENGTH} characters.`);
+        } else {
+            const id = /^custom_[0-9a-f]{8}$/.test(entry.id) && !catalogs.some(catalog => catalog.id === entry.id)
+                ? entry.id
+                : `custom_${crypto.randomBytes(4).toString('hex')}`;
+            catalogs.push({ id, name, type, prompt });
+        }
+    });
+    return { catalogs, errors };
+}
+
+/**
+ * Returns every catalog offered to a config: the built-in ones followed by the user's own.
+ */
+function getUserCatalogs(userConfig) {
+    const customCatalogs = (userConfig && userConfig.settings && userConfig.settings.customCatalogs) || [];
+    return [...CATALOGS, ...customCatalogs.map(catalog => ({ ...catalog, kind: 'custom' }))];
+}
+
+// "Because you watched" catalog IDs carry their seed: because_<IMDb ID>
+const BECAUSE_CATALOG_ID_PATTERN = /^because_(tt\d+)$/;
+
+/**
+ * Whether a config has a working Trakt.tv link.
+ */
+function hasTraktLink(userConfig) {
+    return Boolean(userConfig && userConfig.traktTokens && userConfig.traktTokens.access_token && !userConfig.traktTokens.needsReauth);
+}
+
+/**
+ * Returns the catalogs for a config's manifest: its catalogs plus, with a Trakt link,
+ * one "Because you watched" catalog per recently watched seed title.
+ */
+async function getManifestCatalogs(configId, userConfig) {
+    const catalogs = getUserCatalogs(userConfig);
+    if (!hasTraktLink(userConfig)) {
+        return catalogs;
+    }
+
+    for (const type of ['movie', 'series']) {
+        try {
+            const seeds = await getRecentlyWatchedSeeds(configId, type);
+            catalogs.push(...seeds.map(seed => ({
+                type,
+                id: `because_${seed.imdbId}`,
+                name: `Because you watched ${seed.title}`,
+                kind: 'because'
+            })));
+        } catch (error) {
+            console.error(`Error fetching "Because you watched" seeds for config ${configId}:`, error);
+        }
+    }
+    return catalogs;
+}
+
+/**
+ * Finds the catalog definition for a catalog request, or undefined for catalogs we don't offer.
+ * "Because you watched" catalogs are recognized by ID alone, so rows from an older manifest keep
+ * working after the user's history has moved on.
+ */
+function findCatalog(type, id, userConfig) {
+    const becauseMatch = id.match(BECAUSE_CATALOG_ID_PATTERN);
+    if (becauseMatch) {
+        return hasTraktLink(userConfig) && ['movie', 'series'].includes(type)
+            ? { type, id, kind: 'because', seedImdbId: becauseMatch[1] }
+            : undefined;
+    }
+    return getUserCatalogs(userConfig).find(catalog => catalog.type === type && catalog.id === id);
+}
+
+/**
+ * Reads a catalog request's extra properties. Stremio sends them as a path segment
+ * (/catalog/movie/<id>/search=heist%20movies.json); the query string is accepted as well.
+ * The segment is taken from the still-encoded path: Express has already decoded `req.params.extra`,
+ * and decoding it again would break values containing '&', '+' or '%' (e.g. "Tom & Jerry").
+ */
+function parseCatalogExtra(req) {
+    const extra = { ...req.query };
+    if (req.params.extra) {
+        const rawExtra = req.path.split('/').pop().replace(/\.json$/, '');
+        for (const [name, value] of new URLSearchParams(rawExtra)) {
+            extra[name] = value;
+        }
+    }
+    return extra;
+}
+
+/**
+ * Serves the Stremio Addon manifest file.
+ * This file describes the addon's capabilities to Stremio.
+ * Stremio clients will fetch this at /<configId>/manifest.json (or /manifest.json for the instance-wide configuration).
+ * The catalog list is generated per config, so each user's themed and "Because you watched" catalogs
+ * appear as their own rows.
+ */
+async function handleManifest(req, res) {
+    const catalogs = await getManifestCatalogs(req.params.configId, req.userConfig);
+    const manifest = {
+        "id": "com.gemini.stremio.recommender", // Unique ID for your addon
+        "version": "1.0.0", // Current version of your addon
+        "name": "Gemini AI Recommender", // Display name in Stremio
+        "description": "Stremio addon powered by Google Gemini AI for personalized movie/series recommendations and enhanced search. Integrates with Trakt.tv for viewing history.",
+        "logo": "https://developers.google.com/static/images/badges/dev-powered-by-google-light.png", // URL to your addon's logo
+        "background": "https://images.unsplash.com/photo-1534790566855-4cb788d389ec?auto=format&fit=crop&q=80&w=1974&ixlib=rb-4.0.3&ixid=M3wxMjA3fDB8MHxwaG90by1wYWdlfHx8fGVufDB8fHx8fA%3D%3D", // URL to a background image
+        "resources": [
+            "catalog", // Indicates the addon provides catalogs of content
+            "meta",    // Indicates the addon provides detailed metadata for items
+            // Only requested so opened titles can be scrobbled to Trakt (see handleSubtitles)
+            ...(hasTraktLink(req.userConfig) && getGenerationSettings(req.userConfig).traktScrobble
+                ? [{ "name": "subtitles", "types": ["movie", "series"], "idPrefixes": ["tt"] }]
+                : [])
+        ],
+        "types": [
+            "movie",   // Types of content supported (movies)
+            "series"   // Types of content supported (TV series)
+        ],
+        "idProperty": "imdb_id", // The common ID property used by Stremio for content
+        // Recommendation catalogs show up as rows on the Board and in Discover; search catalogs
+        // require the 'search' extra, so Stremio only queries them when the user types in the search bar.
+        "catalogs": catalogs.map(catalog => ({
+            "type": catalog.type,
+            "id": catalog.id,
+            "name": catalog.name,
+            // Every catalog pages through its results with 'skip' and can be narrowed to one of Trakt's genres
+            "extra": [
+                ...(catalog.kind === 'search' ? [{ "name": "search", "isRequired": true }] : []),
+                { "name": "genre", "options": TRAKT_GENRES[catalog.type].map(formatTraktGenre), "isRequired": false },
+                { "name": "skip" }
+            ]
+        })),
+        "behaviorHints": {
+            "configurable": true // Shows a "Configure" button in Stremio, which opens <addon base URL>/configure
+        },
+        "dontAnnounce": true, // Prevent auto-listing on addons.strem.io (manual install only)
+        "config": [] // We use a separate web UI for configuration, so no built-in Stremio config fields
+    };
+    res.json(manifest);
+}
+
+app.get('/manifest.json', handleManifest);
+app.get('/:configId/manifest.json', handleManifest);
+
+/**
+ * Handles requests for content catalogs (lists of movies/series).
+ * This endpoint provides recommendations based on Gemini AI, routed by catalog ID:
+ * recommendation catalogs are called when a user browses the "Gemini Movie Recs" or "Gemini Series Recs" rows,
+ * search catalogs when the user searches in Stremio.
+ */
+async function handleCatalog(req, res) {
+    const { type, id, configId } = req.params; // 'type' is 'movie' or 'series', 'id' is 'gemini_movie_recommendations' etc.
+    const userConfig = req.userConfig || null; // Set by the :configId param handler; null for the instance-wide URL.
+
+    const catalog = findCatalog(type, id, userConfig);
+    if (!catalog) {
+        return res.status(404).json({ metas: [] });
+    }
+    // 'extra' contains parameters like 'search', 'genre'. Only search catalogs use the search query.
+    const extra = parseCatalogExtra(req);
+    const search = catalog.kind === 'search' ? String(extra.search || '').trim() : '';
+
+    // Genre picked in Stremio's filter dropdown, as a Trakt slug
+    const genre = extra.genre ? findTraktGenreSlug(type, extra.genre) : null;
+
+    console.log(`Catalog request: Type=${type}, Catalog ID=${id}, Search Query=${search || 'N/A'}, Genre=${genre || 'N/A'}, Config ID=${configId || 'N/A'}`);
+
+    if (extra.genre && !genre) {
+        return res.json({ metas: [] });
+    }
+
+    if (catalog.kind === 'search' && !search) {
+        return res.json({ metas: [] });
+    }
+
+    // Ensure API keys are loaded (though `loadApiKeysFromStorage` runs on startup, this provides a safety)
+    await refreshApiKeysFromStorage();
+    const apiKeys = getEffectiveApiKeys(userConfig);
+
+    // Provider, model, temperature, result count and safety settings chosen for this config (or the defaults)
+    const generationSettings = getGenerationSettings(userConfig);
+
+    // Check for the Gemini API key before proceeding with AI calls (other providers don't need it)
+    if (generationSettings.llmProvider === 'gemini' && !apiKeys.geminiApiKey) {
+        console.error("Gemini API key is not available. Cannot generate recommendations.");
+        res.set('Cache-Control', 'no-store');
+        return res.json({ metas: [{
+            id: `tt_no_gemini_key`,
+            type: type,
+            name: `Gemini API Key Missing`,
+            poster: `https://placehold.co/200x300/dc2626/FFFFFF?text=Error`,
+            posterShape: "regular",
+            description: "The Google Gemini API key is not configured. Please visit the addon's configuration page.",
+            genres: ["Error"]
+        }] });
+    }
 
 
     // --- Trakt History & Gemini Prompt Generation Logic ---
-    // In a production app, this is where you would:
-    // 1. Check if the user has authenticated with Trakt and if their tokens are valid/present in your database.
-    // 2. If so, retrieve their Trakt viewing history (e.g., top watched movies/series).
-    //    You might need to refresh their Trakt access token first if it's expired.
-    // 3. Construct a sophisticated prompt for Gemini based on this history.
-    //    Example prompt: "Based on my watch history of [Movie A, Series B, Movie C], suggest 5 new ${type}s that are similar in genre or theme, or from the same production studios. Provide only the titles, one per line, and ensure they are distinct."
-    // 4. If no Trakt history or user not linked, use a general prompt.
-
-    // If Trakt tokens are present (from a successful OAuth flow for this addon instance)
-    if (userTraktTokens[userId] && userTraktTokens[userId].access_token) {
-        // Here, you'd ideally try to refresh the token if expired using currentApiKeys.traktClientId/Secret.
-        // For simplicity in this demo, we assume the token is valid if present.
-        console.log(`Using conceptual Trakt tokens for user ${userId}.`);
-        prompt = `Based on a user's potential watch history, suggest 5 highly-rated ${type}s from diverse genres. Provide only the titles, one per line.`;
-    } else if (search) {
-        // If a search query is provided by Stremio
-        prompt = `Find 5 ${type}s related to "${search}". Focus on popular or critically acclaimed titles. Provide only the titles, one per line.`;
+    // For recommendation and custom catalogs, the user's Trakt.tv history, ratings and watchlist for this type
+    // drive the prompt. If nothing usable comes back (or the user is not linked), a general prompt is used instead.
+    // Expired access tokens are refreshed by `traktRequest`; a revoked link falls back to the general prompt.
+    let profile = null;
+    const usesProfile = catalog.kind !== 'search'; // Search results don't depend on the viewing profile
+    if (usesProfile && userConfig && userConfig.traktTokens && userConfig.traktTokens.needsReauth) {
+        console.warn(`Trakt.tv link for config ${configId} needs to be re-authorized. Using a general prompt.`);
+    } else if (usesProfile && userConfig && userConfig.traktTokens && userConfig.traktTokens.access_token) {
+        console.log(`Fetching Trakt viewing profile for config ${configId}.`);
+        try {
+            profile = await getTraktViewingProfile(configId, type);
+        } catch (error) {
+            console.error(`Error fetching Trakt viewing profile for config ${configId}:`, error);
+        }
+    }
+
+    // Prompts are built per batch, since a page may take several requests to fill (see `generateUnwatchedRecommendations`)
+    let buildPrompt;
+    let searchConstraints = null; // Parsed from the search query once results are actually generated
+    if (catalog.kind === 'search') {
+        buildPrompt = count => buildSearchPrompt(type, search, searchConstraints, count);
+    } else if (catalog.kind === 'custom') {
+        buildPrompt = count => buildCustomCatalogPrompt(catalog, profile, count);
+    } else if (catalog.kind === 'because') {
+        // The seed is usually in the recent history; older manifests may name a seed that has dropped out of it
+        let seed = profile && profile.history.find(item => item.imdbId === catalog.seedImdbId);
+        if (!seed) {
+            seed = await lookupTitleByImdbId(catalog.seedImdbId, type, apiKeys.traktClientId).catch(error => {
+                console.error(`Error looking up seed title ${catalog.seedImdbId}:`, error);
+                return null;
+            });
+        }
+        if (!seed) {
+            res.set('Cache-Control', 'no-store');
+            return res.json({ metas: [] });
+        }
+        buildPrompt = count => buildBecauseYouWatchedPrompt(type, seed, profile, count);
     } else {
-        // Default recommendations if no specific input
-        prompt = `Suggest 5 highly-rated ${type}s trending now. Provide only titles, one per line.`;
+        buildPrompt = count => (profile && buildTraktProfilePrompt(type, profile, count)) ||
+                               // Default recommendations if no specific input
+                               `Suggest ${count} highly-rated ${type}s trending now.`;
+    }
+
+    if (genre) {
+        const buildUnfilteredPrompt = buildPrompt;
+        buildPrompt = count => `${buildUnfilteredPrompt(count)}\n\nOnly suggest titles in the ${formatTraktGenre(genre)} genre.`;
+    }
+
+    // Recommendations skip what the user has watched, collected or hidden; search results may include them
+    let excluded = null;
+    if (usesProfile && hasTraktLink(userConfig)) {
+        try {
+            excluded = await getExcludedImdbIds(configId, type, generationSettings.excludeHidden);
+        } catch (error) {
+            console.error(`Error fetching watched and collected titles for config ${configId}:`, error);
+        }
     }
+    if (catalog.kind === 'because') {
+        excluded = excluded || { ids: new Set(), version: 'unavailable' };
+        excluded.ids.add(catalog.seedImdbId);
+    }
+
+    // Same user, catalog, search, viewing profile, library and settings -> same result set, served from the cache
+    const resultSetKey = [
+        'catalog', configId || ADDON_CONFIG_USER_ID, type, id, search || '', genre || 'all-genres',
+        catalog.kind === 'custom' ? fingerprint(catalog.prompt) : 'built-in',
+        profile ? fingerprint(profile) : 'no-history',
+        excluded ? fingerprint(excluded.version) : 'no-library',
+        fingerprint(pickGenerationSettings(generationSettings))
+    ].join(':');
+    const ttlSeconds = catalog.kind === 'search' ? CACHE_TTL_SECONDS.search : CACHE_TTL_SECONDS.catalog;
+
+    // Each page is a slice of the result set; pages past its current end grow it with titles not on earlier pages
+    const skip = Math.max(0, parseInt(extra.skip, 10) || 0);
+    const pageSize = generationSettings.resultCount;
 
     try {
-        const result = await modelForThisCall.generateContent(prompt); // Use the dynamically initialized model
-        const response = await result.response;
-        const text = response.text();
-        console.log("Gemini Raw Response:", text);
-
-        // Parse the titles from Gemini's text response.
-        const titles = text.split('\n')
-                           .map(line => line.replace(/^[*-]?\s*/, '').trim())
-                           .filter(line => line.length > 0 && line.toLowerCase() !== 'no recommendations found.');
-
-        // --- Metadata Enrichment (Crucial Next Step for a Real Addon) ---
-        recommendedMetas = titles.map((title, index) => ({
-            id: `tt${Math.floor(Math.random() * 10000000) + 1000000}`,
+        const page = await getResultSetPage(resultSetKey, ttlSeconds, skip, pageSize, async (previousTitles, count) => {
+            const provider = createLlmProvider(apiKeys, generationSettings);
+            if (catalog.kind === 'search') {
+                searchConstraints = await getSearchConstraints(provider, search, type);
+            }
+
+            // The genre picked in Stremio and the search constraints are checked against Trakt's metadata
+            const filter = genre || searchConstraints
+                ? async (title) => {
+                    if (genre && !(await getTraktDetails(title.imdbId, type, apiKeys.traktClientId)).genres.includes(genre)) {
+                        return false;
+                    }
+                    return !searchConstraints || titleMatchesSearchConstraints(title, searchConstraints, type, apiKeys.traktClientId);
+                }
+                : null;
+
+            // Schema-constrained JSON response, validated (and repaired by the model if malformed),
+            // with excluded titles replaced by further suggestions
+            const titles = await generateUnwatchedRecommendations(provider, buildPrompt, {
+                type,
+                clientId: apiKeys.traktClientId,
+                count,
+                temperature: generationSettings.temperature,
+                excludedIds: excluded ? excluded.ids : null,
+                previousTitles,
+                filter
+            });
+            await recordRecommendationReasons(configId, type, titles);
+            return titles;
+        });
+
+        // Artwork is looked up per page (and cached), so it follows the user's artwork keys
+        const artwork = await getArtworkForTitles(page.titles, type, apiKeys);
+        const metas = page.titles.map(({ imdbId, title, year, reason }, index) => ({
+            id: imdbId,
             type: type,
             name: title,
-            poster: `https://placehold.co/200x300/1e293b/a8dadc?text=${encodeURIComponent(title.substring(0, Math.min(title.length, 15)))}`,
+            description: reason || undefined, // Why the model picked this title, shown in Stremio's preview
+            releaseInfo: year ? `${year}` : undefined,
+            poster: artwork[index].poster || getPlaceholderPoster(title),
+            background: artwork[index].background,
+            logo: artwork[index].logo,
             posterShape: "regular"
         }));
+        sendCachedResponse(res, { value: { metas }, expiresAt: page.expiresAt });
 
     } catch (error) {
         console.error("Error calling Gemini AI for recommendations:", error);
-        recommendedMetas = [{
+        // Error tiles are never cached, so the next request tries again
+        sendCachedResponse(res, { value: { metas: [{
             id: `tt_error_rec`,
             type: type,
             name: `Failed to get recommendations`,
@@ -266,88 +3123,768 @@ app.get('/catalog/:type/:id.json', async (req, res) => {
             posterShape: "regular",
             description: `Could not fetch recommendations. Error: ${error.message || 'Unknown error'}. Please check your Gemini API key and backend logs.`,
             genres: ["Error"]
-        }];
+        }] }, expiresAt: null });
     }
+}
 
-    res.json({ metas: recommendedMetas });
-});
+app.get('/catalog/:type/:id.json', handleCatalog);
+app.get('/catalog/:type/:id/:extra.json', handleCatalog);
+app.get('/:configId/catalog/:type/:id.json', handleCatalog);
+app.get('/:configId/catalog/:type/:id/:extra.json', handleCatalog);
+
+/**
+ * Handles requests for detailed metadata about a specific item (movie/series).
+ * The IMDb ID is looked up on Trakt.tv and mapped into a Stremio meta object.
+ */
+async function handleMeta(req, res) {
+    const { type, imdb_id } = req.params;
+    console.log(`Meta request: Type=${type}, IMDb ID=${imdb_id}`);
+
+    if (!/^tt\d+$/.test(imdb_id)) {
+        return res.status(404).json({ meta: null });
+    }
+
+    // Trakt's public endpoints only need the client ID, which may come from the config or storage.
+    await refreshApiKeysFromStorage();
+    const apiKeys = getEffectiveApiKeys(req.userConfig);
+    const { traktClientId } = apiKeys;
+    if (!traktClientId) {
+        console.error("Trakt Client ID is not available. Cannot fetch metadata.");
+        return res.status(404).json({ meta: null });
+    }
+
+    try {
+        // Metadata is the same for everyone, so the cache is shared between configs
+        const response = await getOrProduceCachedResponse(`meta:${type}:${imdb_id}`, CACHE_TTL_SECONDS.meta, async () => {
+            const meta = await getTraktMeta(type, imdb_id, traktClientId);
+            return { value: { meta }, cacheable: Boolean(meta) };
+        });
+        if (!response.value.meta) {
+            console.log(`No Trakt item found for IMDb ID ${imdb_id}.`);
+            return res.status(404).json({ meta: null });
+        }
+
+        // Per-config additions on top of the shared metadata: artwork fetched with the config's keys,
+        // for titles recommended to this config the reason they were picked leading the description,
+        // and with a Trakt link, the Trakt action links
+        let { meta } = response.value;
+        const artwork = await getArtwork(imdb_id, type, apiKeys);
+        meta = {
+            ...meta,
+            poster: artwork.poster || meta.poster,
+            background: artwork.background || meta.background,
+            logo: artwork.logo || meta.logo
+        };
+        const reason = await getRecommendationReason(req.params.configId, type, imdb_id);
+        if (reason) {
+            meta.description = meta.description ? `${reason}\n\n${meta.description}` : reason;
+        }
+        if (hasTraktLink(req.userConfig)) {
+            meta.links = [...(meta.links || []), ...(await buildTraktActionLinks(getBaseUrl(req), req.params.configId, type, imdb_id))];
+        }
+        sendCachedResponse(res, { ...response, value: { meta } });
+    } catch (error) {
+        console.error(`Error fetching Trakt metadata for ${imdb_id}:`, error);
+        res.status(500).json({ meta: null, error: "Failed to fetch metadata." });
+    }
+}
+
+app.get('/meta/:type/:imdb_id.json', handleMeta);
+app.get('/:configId/meta/:type/:imdb_id.json', handleMeta);
+
+/**
+ * Handles Stremio's subtitles requests, which the addon only declares (see handleManifest) to learn when
+ * a user opens a title. It never offers subtitles itself; the scrobble is sent in the background so
+ * playback isn't held up by Trakt.
+ */
+async function handleSubtitles(req, res) {
+    const { configId, type, id } = req.params;
+    res.set('Cache-Control', 'no-store'); // Every playback has to reach the addon
+    res.json({ subtitles: [] });
+
+    if (hasTraktLink(req.userConfig) && getGenerationSettings(req.userConfig).traktScrobble) {
+        scrobbleOpenedTitle(configId, type, id).catch(error => {
+            console.warn(`Could not scrobble ${id} for config ${configId}:`, error.message);
+        });
+    }
+}
+
+app.get('/:configId/subtitles/:type/:id.json', handleSubtitles);
+app.get('/:configId/subtitles/:type/:id/:extra.json', handleSubtitles);
+
+/**
+ * Escapes text for use in the HTML pages below.
+ */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+/**
+ * Renders the small page shown by the Trakt action links, in the configure page's colors.
+ */
+function renderTraktActionPage(heading, content) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(heading)}</title>
+    <style>
+        body { font-family: sans-serif; background-color: #0f172a; color: #e2e8f0; display: flex; justify-content: center; padding: 3rem 1rem; }
+        main { max-width: 28rem; background-color: #1e293b; padding: 2rem; border-radius: 0.75rem; text-align: center; }
+        button { background-color: #3b82f6; color: white; border: none; border-radius: 0.375rem; padding: 0.5rem 1rem; margin: 0.25rem; font-weight: 600; cursor: pointer; }
+        button:hover { background-color: #2563eb; }
+    </style>
+</head>
+<body><main><h1>${escapeHtml(heading)}</h1>${content}</main></body>
+</html>`;
+}
+
+/**
+ * Validates the parameters and token of a Trakt action link and loads the title it refers to.
+ * The token comes from the link's query string (GET) or the confirmation form (POST).
+ * Sends an error page and resolves to null when the link can't be used.
+ */
+async function loadTraktActionTitle(req, res) {
+    const { configId, action, type, imdb_id } = req.params;
+    if (!Object.prototype.hasOwnProperty.call(TRAKT_ACTIONS, action) || !['movie', 'series'].includes(type) || !/^tt\d+$/.test(imdb_id)) {
+        res.status(404).send(renderTraktActionPage('Unknown action', '<p>This link is not valid.</p>'));
+        return null;
+    }
+    const token = req.method === 'POST' ? req.body.token : req.query.token;
+    if (!(await isValidTraktActionToken(token, configId, action, type, imdb_id))) {
+        res.status(403).send(renderTraktActionPage('Invalid link', '<p>Open this action from the title\'s page in Stremio.</p>'));
+        return null;
+    }
+    if (!hasTraktLink(req.userConfig)) {
+        res.status(400).send(renderTraktActionPage('Trakt.tv not linked', '<p>Authorize Trakt.tv on the configure page first.</p>'));
+        return null;
+    }
+    const title = await lookupTitleByImdbId(imdb_id, type, getEffectiveApiKeys(req.userConfig).traktClientId).catch(() => null);
+    return title ? `${title.title}${title.year ? ` (${title.year})` : ''}` : imdb_id;
+}
+
+// Trakt action links from the meta page: GET shows a confirmation form, POST performs the action.
+app.get('/:configId/trakt/:action/:type/:imdb_id', asyncRoute(async (req, res) => {
+    const name = await loadTraktActionTitle(req, res);
+    if (!name) return;
+
+    const { action } = req.params;
+    const buttons = action === 'rate'
+        ? Array.from({ length: 10 }, (_, index) => `<button name="rating" value="${index + 1}">${index + 1}</button>`).join('')
+        : `<button>${escapeHtml(TRAKT_ACTIONS[action].label)}</button>`;
+    res.send(renderTraktActionPage(name, `
+        <p>${action === 'rate' ? 'Your rating on Trakt.tv (1-10):' : `${escapeHtml(TRAKT_ACTIONS[action].label)} on Trakt.tv?`}</p>
+        <form method="POST"><input type="hidden" name="token" value="${escapeHtml(req.query.token)}">${buttons}</form>`));
+}));
+
+app.post('/:configId/trakt/:action/:type/:imdb_id', bodyParser.urlencoded({ extended: false }), asyncRoute(async (req, res) => {
+    const name = await loadTraktActionTitle(req, res);
+    if (!name) return;
+
+    const { configId, action, type, imdb_id } = req.params;
+    const rating = Number(req.body.rating);
+    if (action === 'rate' && !(Number.isInteger(rating) && rating >= 1 && rating <= 10)) {
+        return res.status(400).send(renderTraktActionPage(name, '<p>Ratings must be a whole number from 1 to 10.</p>'));
+    }
+
+    try {
+        await performTraktAction(configId, action, type, imdb_id, rating);
+        res.send(renderTraktActionPage(name, `<p>Done: ${escapeHtml(name)} was ${TRAKT_ACTIONS[action].done}${action === 'rate' ? ` ${rating}/10` : ''} on Trakt.tv. You can close this page.</p>`));
+    } catch (error) {
+        console.error(`Trakt action '${action}' failed for ${imdb_id} (config ${configId}):`, error.message);
+        if (error.notFound) {
+            return res.status(404).send(renderTraktActionPage(name, '<p>Trakt.tv doesn\'t know this title.</p>'));
+        }
+        const message = error.needsReauth ? 'Please authorize Trakt.tv again on the configure page.' : 'Trakt.tv could not be updated. Please try again later.';
+        res.status(error.needsReauth ? 401 : 502).send(renderTraktActionPage(name, `<p>${message}</p>`));
+    }
+}));
+
+// --- Owner Authentication (owner sessions, CSRF and per-config edit tokens) ---
+// Configuration changes need one of two credentials:
+//   - Every config has an edit token, issued when the config is created and kept by the browser that saved it,
+//     which sends it in the X-Edit-Token header. Only that token (or the owner) can change the config.
+//     Configs saved before edit tokens existed have no token, and their ID is public (it is the addon URL),
+//     so only the owner can change them; the owner's next save issues them a token.
+//   - The instance owner signs in with a password: OWNER_PASSWORD from the environment, or one chosen on first run
+//     with the one-time claim token printed to the server log. Owners get a session cookie and may change the
+//     instance-wide API keys and any config. Requests authenticated by that cookie must repeat the session's CSRF
+//     token in the X-CSRF-Token header, which other sites can't read.
+
+const OWNER_PASSWORD = process.env.OWNER_PASSWORD || null;
+registerSecret(OWNER_PASSWORD);
+const MIN_OWNER_PASSWORD_LENGTH = 12;
+const OWNER_SESSION_COOKIE = 'owner_session';
+const OWNER_SESSION_TTL_MS = 7 * 24 * 3600 * 1000;
+// Instances starting while a claim token is valid keep it, so a token printed by another instance stays usable.
+const OWNER_CLAIM_TOKEN_TTL_MS = 24 * 3600 * 1000;
+// Failed sign-in and claim attempts allowed per client address within the window.
+const MAX_FAILED_SIGN_INS = 10;
+const FAILED_SIGN_IN_WINDOW_MS = 15 * 60 * 1000;
+const failedSignIns = new Map(); // Format: { [ip]: { count, since } }
+const MAX_TRACKED_SIGN_IN_ADDRESSES = 10000; // Expired entries are pruned above this size
+
+const scrypt = util.promisify(crypto.scrypt);
+
+/**
+ * Hashes a random token for storage. Tokens are long random values, so a fast hash is enough.
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Compares two token hashes in constant time.
+ */
+function tokenHashesMatch(a, b) {
+    return typeof a === 'string' && typeof b === 'string' && a.length === b.length &&
+           crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+function generateToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt:${salt}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, storedHash) {
+    const [, salt, expected] = storedHash.split(':');
+    const hash = await scrypt(String(password), salt, 64);
+    return crypto.timingSafeEqual(hash, Buffer.from(expected, 'hex'));
+}
+
+function parseCookies(req) {
+    return Object.fromEntries((req.headers.cookie || '').split(';')
+        .map(cookie => cookie.trim().split('='))
+        .filter(([name, value]) => name && value !== undefined)
+        .map(([name, value]) => [name, decodeURIComponent(value)]));
+}
+
+/**
+ * Checks whether the password is the owner's: OWNER_PASSWORD when set, otherwise the one chosen when claiming.
+ */
+async function isOwnerPassword(password) {
+    if (OWNER_PASSWORD) {
+        return tokenHashesMatch(hashToken(password), hashToken(OWNER_PASSWORD));
+    }
+    const owner = await storage.get(STORAGE_COLLECTIONS.owner, ADDON_CONFIG_USER_ID);
+    return Boolean(owner && owner.passwordHash && await verifyPassword(password, owner.passwordHash));
+}
+
+/**
+ * Records a failed sign-in or claim attempt. Returns true while the client address is still allowed to try.
+ */
+function allowSignInAttempt(req, failed = false) {
+    const now = Date.now();
+    let attempts = failedSignIns.get(req.ip);
+    if (!attempts || now - attempts.since >= FAILED_SIGN_IN_WINDOW_MS) {
+        attempts = { count: 0, since: now };
+    }
+    if (failed) {
+        attempts.count++;
+        failedSignIns.set(req.ip, attempts);
+        if (failedSignIns.size > MAX_TRACKED_SIGN_IN_ADDRESSES) {
+            for (const [ip, { since }] of failedSignIns) {
+                if (now - since >= FAILED_SIGN_IN_WINDOW_MS) failedSignIns.delete(ip);
+            }
+        }
+    }
+    return attempts.count < MAX_FAILED_SIGN_INS;
+}
+
+/**
+ * Makes sure an unclaimed instance has a claim token. A new token is printed to the log only when there is
+ * no unexpired one; otherwise the log names the instance and time that printed the valid token.
+ * Nothing happens when OWNER_PASSWORD is set or the instance has been claimed.
+ */
+async function ensureOwnerClaimToken() {
+    if (OWNER_PASSWORD) {
+        return;
+    }
+    const owner = await storage.get(STORAGE_COLLECTIONS.owner, ADDON_CONFIG_USER_ID);
+    if (owner && owner.passwordHash) {
+        return;
+    }
+    if (owner && owner.claimTokenHash && owner.claimTokenExpiresAt > Date.now()) {
+        console.log(`This instance has no owner yet. Claim it on the configure page with the one-time token printed to the log of ${owner.claimTokenIssuedBy || 'another instance'} at ${new Date(owner.claimTokenIssuedAt).toISOString()} (valid until ${new Date(owner.claimTokenExpiresAt).toISOString()}).`);
+        return;
+    }
+    // Expired tokens are replaced, so a token from an old log can't be used
+    const claimToken = generateToken();
+    const now = Date.now();
+    await storage.set(STORAGE_COLLECTIONS.owner, ADDON_CONFIG_USER_ID, {
+        claimTokenHash: hashToken(claimToken),
+        claimTokenIssuedBy: os.hostname(),
+        claimTokenIssuedAt: now,
+        claimTokenExpiresAt: now + OWNER_CLAIM_TOKEN_TTL_MS
+    });
+    console.log(`This instance has no owner yet. Claim it on the configure page within ${OWNER_CLAIM_TOKEN_TTL_MS / 3600000} hours with this one-time token: ${claimToken}`);
+}
+
+/**
+ * Starts an owner session: stores it (by hash, so the storage never holds a usable session ID)
+ * and sets the session cookie. Resolves to the session's CSRF token.
+ */
+async function createOwnerSession(req, res) {
+    const sessionId = generateToken();
+    const csrfToken = generateToken();
+    await storage.set(STORAGE_COLLECTIONS.ownerSessions, hashToken(sessionId), { csrfToken, expiresAt: Date.now() + OWNER_SESSION_TTL_MS });
+    const secure = getBaseUrl(req).startsWith('https:') ? '; Secure' : '';
+    res.set('Set-Cookie', `${OWNER_SESSION_COOKIE}=${sessionId}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${OWNER_SESSION_TTL_MS / 1000}${secure}`);
+    return csrfToken;
+}
+
+/**
+ * Returns the request's owner session `{ key, csrfToken, expiresAt }`, or null. Expired sessions are deleted.
+ */
+async function getOwnerSession(req) {
+    const sessionId = parseCookies(req)[OWNER_SESSION_COOKIE];
+    if (!sessionId) {
+        return null;
+    }
+    const key = hashToken(sessionId);
+    const session = await storage.get(STORAGE_COLLECTIONS.ownerSessions, key);
+    if (!session) {
+        return null;
+    }
+    if (session.expiresAt <= Date.now()) {
+        await storage.delete(STORAGE_COLLECTIONS.ownerSessions, key);
+        return null;
+    }
+    return { key, csrfToken: session.csrfToken, expiresAt: session.expiresAt };
+}
+
+/**
+ * Checks whether a state-changing request comes from a signed-in owner, including the CSRF token check.
+ */
+async function isOwnerRequest(req) {
+    const session = await getOwnerSession(req);
+    const csrfToken = req.get('X-CSRF-Token');
+    return Boolean(session && csrfToken && tokenHashesMatch(hashToken(csrfToken), hashToken(session.csrfToken)));
+}
+
+/**
+ * Decides whether a request may change a config (null for one that doesn't exist yet, which anyone may create).
+ * Resolves to `{ allowed, issueEditToken }`; `issueEditToken` is set for new configs and when the owner
+ * changes a config without a token.
+ */
+async function authorizeConfigEdit(req, userConfig) {
+    if (!userConfig) {
+        return { allowed: true, issueEditToken: true };
+    }
+    if (!userConfig.editTokenHash) {
+        const allowed = await isOwnerRequest(req);
+        return { allowed, issueEditToken: allowed };
+    }
+    const editToken = req.get('X-Edit-Token');
+    if (editToken && tokenHashesMatch(hashToken(editToken), userConfig.editTokenHash)) {
+        return { allowed: true, issueEditToken: false };
+    }
+    return { allowed: await isOwnerRequest(req), issueEditToken: false };
+}
+
+const CONFIG_EDIT_FORBIDDEN_ERROR = "This configuration can only be changed from the browser that created it, or by the instance owner. Configurations saved before this protection existed can only be changed by the owner.";
+
+ensureOwnerClaimToken().catch(error => console.error('Could not create the owner claim token:', error));
+
+/**
+ * Tells the configure page whether the instance has an owner and whether this browser is signed in as it.
+ * The CSRF token is only readable by the configure page itself (CORS doesn't expose cookie-authenticated responses).
+ */
+app.get('/owner/session', asyncRoute(async (req, res) => {
+    const [session, owner] = await Promise.all([
+        getOwnerSession(req),
+        OWNER_PASSWORD ? null : storage.get(STORAGE_COLLECTIONS.owner, ADDON_CONFIG_USER_ID)
+    ]);
+    res.set('Cache-Control', 'no-store');
+    res.json({
+        signedIn: Boolean(session),
+        claimed: Boolean(OWNER_PASSWORD || (owner && owner.passwordHash)),
+        csrfToken: session ? session.csrfToken : undefined
+    });
+}));
+
+/**
+ * Claims an unowned instance with the one-time token from the server log and sets the owner password.
+ */
+app.post('/owner/claim', asyncRoute(async (req, res) => {
+    const { claimToken, password } = req.body;
+    if (!allowSignInAttempt(req)) {
+        return res.status(429).json({ error: "Too many failed attempts. Please try again later." });
+    }
+    if (typeof password !== 'string' || password.length < MIN_OWNER_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `The password must be at least ${MIN_OWNER_PASSWORD_LENGTH} characters long.` });
+    }
+    const owner = OWNER_PASSWORD ? null : await storage.get(STORAGE_COLLECTIONS.owner, ADDON_CONFIG_USER_ID);
+    if (!owner || owner.passwordHash || !owner.claimTokenHash) {
+        return res.status(409).json({ error: "This instance has already been claimed." });
+    }
+    if (!claimToken || !tokenHashesMatch(hashToken(claimToken), owner.claimTokenHash)) {
+        allowSignInAttempt(req, true);
+        return res.status(403).json({ error: "Invalid claim token." });
+    }
+    if (!(owner.claimTokenExpiresAt > Date.now())) {
+        return res.status(403).json({ error: "The claim token has expired. Restart the server to print a new one." });
+    }
+
+    await storage.set(STORAGE_COLLECTIONS.owner, ADDON_CONFIG_USER_ID, { passwordHash: await hashPassword(password), claimTokenHash: null, claimTokenExpiresAt: null });
+    console.log("This instance has been claimed by its owner.");
+    res.json({ success: true, csrfToken: await createOwnerSession(req, res) });
+}));
+
+app.post('/owner/sign-in', asyncRoute(async (req, res) => {
+    if (!allowSignInAttempt(req)) {
+        return res.status(429).json({ error: "Too many failed attempts. Please try again later." });
+    }
+    if (typeof req.body.password !== 'string' || !(await isOwnerPassword(req.body.password))) {
+        allowSignInAttempt(req, true);
+        return res.status(403).json({ error: "Wrong password." });
+    }
+    res.json({ success: true, csrfToken: await createOwnerSession(req, res) });
+}));
+
+app.post('/owner/sign-out', asyncRoute(async (req, res) => {
+    const session = await getOwnerSession(req);
+    if (session && await isOwnerRequest(req)) {
+        await storage.delete(STORAGE_COLLECTIONS.ownerSessions, session.key);
+    }
+    res.set('Set-Cookie', `${OWNER_SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+    res.json({ success: true });
+}));
+
+/**
+ * Saves the instance-wide API keys, which every config without its own keys (and every request
+ * without a config ID) falls back to. Owner only. Fields left out or empty keep their stored value.
+ */
+app.post('/owner/instance-keys', asyncRoute(async (req, res) => {
+    if (!(await isOwnerRequest(req))) {
+        return res.status(403).json({ error: "Only the signed-in instance owner can change the instance-wide keys." });
+    }
+    const keys = {};
+    for (const field of API_KEY_FIELDS) {
+        if (typeof req.body[field] === 'string' && req.body[field].trim()) {
+            keys[field] = req.body[field].trim();
+        }
+    }
+    if (Object.keys(keys).length === 0) {
+        return res.status(400).json({ error: "No keys to save." });
+    }
+
+    try {
+        await storage.set(STORAGE_COLLECTIONS.apiKeys, ADDON_CONFIG_USER_ID, keys);
+        await loadApiKeysFromStorage();
+        apiKeysLoadedAt = Date.now();
+        console.log(`Instance-wide API keys updated by the owner: ${Object.keys(keys).join(', ')}.`);
+        res.json({ success: true, message: "Instance-wide API keys saved." });
+    } catch (error) {
+        console.error(`Error saving the instance-wide API keys to ${storage.name} storage:`, error);
+        res.status(500).json({ error: "Failed to save the instance-wide API keys." });
+    }
+}));
+
+// --- API Key Validation ---
+// New or changed credentials are tried against the real services before /save-config stores them, so a
+// mistyped key shows up next to its field instead of as an error tile in the catalogs later. GEMINI_API_URL
+// and TRAKT_API_URL point these checks at stub servers in tests, like every other request to those services.
+
+const API_KEY_VALIDATION_TIMEOUT_MS = 10000;
+
+/**
+ * Checks a Gemini API key (and the chosen model) with a one-token generation request.
+ * Resolves to `{ field, valid, message }`: `valid` is false when Gemini rejects the key or doesn't know
+ * the model, and null when the check itself failed (network error, outage), which doesn't block saving.
+ */
+async function validateGeminiApiKey(apiKey, modelName) {
+    const requestOptions = { timeout: API_KEY_VALIDATION_TIMEOUT_MS };
+    if (GEMINI_API_URL) {
+        requestOptions.baseUrl = GEMINI_API_URL;
+    }
+    try {
+        const model = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model: modelName }, requestOptions);
+        await model.generateContent({
+            contents: [{ role: 'user', parts: [{ text: 'ping' }] }],
+            generationConfig: { maxOutputTokens: 1 }
+        });
+        return { field: 'geminiApiKey', valid: true, message: "Gemini accepted the API key." };
+    } catch (error) {
+        if ([400, 401, 403].includes(error.status)) {
+            return { field: 'geminiApiKey', valid: false, message: "Gemini rejected this API key." };
+        }
+        if (error.status === 404) {
+            return { field: 'geminiModel', valid: false, message: `Gemini doesn't offer the model '${modelName}' for this API key.` };
+        }
+        if (error.status === 429) {
+            // Quota errors are only returned for keys Gemini recognized
+            return { field: 'geminiApiKey', valid: true, message: "Gemini accepted the API key, but its quota is currently used up." };
+        }
+        console.warn("Could not validate the Gemini API key:", error.message);
+        return { field: 'geminiApiKey', valid: null, message: "Gemini could not be reached to check this key. It was saved unchecked." };
+    }
+}
+
+/**
+ * Checks a Trakt Client ID by calling a public endpoint with it as the API key. The Client Secret can
+ * only be checked by an OAuth exchange, which happens when the user authorizes Trakt.
+ * Resolves like `validateGeminiApiKey`.
+ */
+async function validateTraktClientId(clientId) {
+    try {
+        const response = await fetch(`${TRAKT_API_URL}/movies/trending?limit=1`, {
+            headers: {
+                'Content-Type': 'application/json',
+                'trakt-api-version': '2',
+                'trakt-api-key': clientId
+            },
+            timeout: API_KEY_VALIDATION_TIMEOUT_MS
+        });
+        if (response.ok) {
+            return { field: 'traktClientId', valid: true, message: "Trakt.tv accepted the Client ID." };
+        }
+        if (response.status === 401 || response.status === 403) {
+            return { field: 'traktClientId', valid: false, message: "Trakt.tv doesn't know this Client ID." };
+        }
+        console.warn(`Could not validate the Trakt Client ID: Trakt answered with status ${response.status}.`);
+    } catch (error) {
+        console.warn("Could not validate the Trakt Client ID:", error.message);
+    }
+    return { field: 'traktClientId', valid: null, message: "Trakt.tv could not be reached to check this Client ID. It was saved unchecked." };
+}
+
+/**
+ * Validates the credentials of a save that are new or changed compared to the saved config (unchanged
+ * ones were checked when they were saved). The Gemini key is checked again when the Gemini model changes,
+ * and only while Gemini is the selected provider.
+ * Resolves to `{ [field]: { valid, message } }` for the fields that were checked.
+ */
+async function validateApiKeys(keys, savedKeys, generationSettings, savedGenerationSettings) {
+    const checks = [];
+    if (keys.traktClientId && keys.traktClientId !== savedKeys.traktClientId) {
+        checks.push(validateTraktClientId(keys.traktClientId));
+    }
+    if (generationSettings.llmProvider === 'gemini' && keys.geminiApiKey &&
+        (keys.geminiApiKey !== savedKeys.geminiApiKey || generationSettings.geminiModel !== savedGenerationSettings.geminiModel)) {
+        checks.push(validateGeminiApiKey(keys.geminiApiKey, generationSettings.geminiModel));
+    }
+    const results = await Promise.all(checks);
+    return Object.fromEntries(results.map(({ field, valid, message }) => [field, { valid, message }]));
+}
+
+// --- Trakt.tv OAuth Endpoints (Backend Logic) ---
+
+/**
+ * Endpoint to save a user's API keys and generation settings to storage from the frontend.
+ * A request without a `configId` creates a new configuration; with one, it updates that configuration.
+ * Updates are partial: keys left empty keep their saved values, and only the settings sent are changed.
+ * New or changed keys are validated first (see validateApiKeys); `keyValidation` reports the result per field.
+ * The response carries the config ID and the personal addon URL built from it.
+ */
+app.post('/save-config', asyncRoute(async (req, res) => {
+    const configId = req.body.configId || crypto.randomUUID();
+
+    if (!isValidConfigId(configId)) {
+        return res.status(400).json({ error: "Invalid configuration ID." });
+    }
+    const { settings, errors: settingsErrors } = validateGenerationSettings(pickGenerationSettings(req.body));
+    // Themed catalogs are only replaced when the request includes them
+    if (req.body.customCatalogs !== undefined) {
+        const { catalogs, errors } = validateCustomCatalogs(req.body.customCatalogs);
+        if (errors.length > 0) {
+            settingsErrors.customCatalogs = errors.join(' ');
+        }
+        settings.customCatalogs = catalogs;
+    }
+    if (Object.keys(settingsErrors).length > 0) {
+        return res.status(400).json({ error: Object.values(settingsErrors).join(' '), fieldErrors: settingsErrors });
+    }
+
+    const existingConfig = await loadUserConfig(configId);
+    const { allowed, issueEditToken } = await authorizeConfigEdit(req, existingConfig);
+    if (!allowed) {
+        return res.status(403).json({ error: CONFIG_EDIT_FORBIDDEN_ERROR });
+    }
+    const editToken = issueEditToken ? generateToken() : null;
+
+    const savedKeys = (existingConfig && existingConfig.apiKeys) || {};
+    const keys = {};
+    for (const field of API_KEY_FIELDS) {
+        keys[field] = (typeof req.body[field] === 'string' && req.body[field].trim()) || savedKeys[field] || null;
+    }
+    const savedGenerationSettings = getGenerationSettings(existingConfig);
+    const generationSettings = { ...savedGenerationSettings, ...settings };
+    // The Gemini key is only needed when Gemini generates the recommendations
+    if (!keys.traktClientId || !keys.traktClientSecret || (generationSettings.llmProvider === 'gemini' && !keys.geminiApiKey)) {
+        return res.status(400).json({ error: "All API keys are required." });
+    }
+    const keyValidation = await validateApiKeys(keys, savedKeys, generationSettings, savedGenerationSettings);
+    const rejected = Object.entries(keyValidation).filter(([, result]) => result.valid === false);
+    if (rejected.length > 0) {
+        return res.status(400).json({
+            error: rejected.map(([, result]) => result.message).join(' '),
+            fieldErrors: Object.fromEntries(rejected.map(([field, result]) => [field, result.message])),
+            keyValidation
+        });
+    }
+
+    try {
+        // Storage drivers merge into the existing document and record when it was last saved
+        await storage.set(STORAGE_COLLECTIONS.apiKeys, configId, editToken ? { ...keys, editTokenHash: hashToken(editToken) } : keys);
+
+        // Update the in-memory copy for immediate use in this running instance
+        userConfigs[configId] = {
+            apiKeys: keys,
+            traktTokens: existingConfig ? existingConfig.traktTokens : null,
+            settings: existingConfig ? existingConfig.settings : {},
+            editTokenHash: editToken ? hashToken(editToken) : existingConfig.editTokenHash
+        };
+        if (Object.keys(settings).length > 0) {
+            await saveUserSettings(configId, settings);
+        }
+
+        console.log(`API keys saved to ${storage.name} storage and updated in-memory for config ${configId}.`);
+        res.json({
+            success: true,
+            message: "API keys saved successfully!",
+            configId,
+            editToken: editToken || undefined, // Only sent when issued; the browser keeps it for later changes
+            addonUrl: `${getBaseUrl(req)}/${configId}/manifest.json`,
+            customCatalogs: settings.customCatalogs,
+            keyValidation
+        });
+    } catch (error) {
+        console.error(`Error saving API keys to ${storage.name} storage for config ${configId}:`, error);
+        res.status(500).json({ error: "Failed to save API keys." });
+    }
+}));
 
 /**
- * Handles requests for detailed metadata about a specific item (movie/series).
+ * Masks a saved secret for display, keeping only its last characters so users can recognize it.
  */
-app.get('/meta/:type/:imdb_id.json', async (req, res) => {
-    const { type, imdb_id } = req.params;
-    console.log(`Meta request: Type=${type}, IMDb ID=${imdb_id}`);
+function maskSecret(value) {
+    if (!value) {
+        return null;
+    }
+    return value.length > 12 ? `••••${value.slice(-4)}` : '••••';
+}
 
-    const mockMeta = {
-        id: imdb_id,
-        type: type,
-        name: `Dynamic ${type === 'movie' ? 'Film' : 'Show'} - ${imdb_id}`,
-        poster: `https://placehold.co/200x300/475569/a8dadc?text=Poster`,
-        background: `https://placehold.co/1000x500/64748b/a8dadc?text=Background`,
-        description: `This is a detailed description for the item with ID ${imdb_id}. ` +
-                     `This metadata would typically be fetched from a movie database (like TMDb) based on the IMDb ID. ` +
-                     `Gemini AI primarily provides textual recommendations and search insights, not direct media metadata.`,
-        releaseInfo: "2024",
-        genres: ["AI-Generated Pick", "Futuristic", "Interactive", "Drama"],
-        director: ["AI Visionary"],
-        cast: ["Digital Actor 1", "Digital Actor 2", "Virtual Persona 3"],
-        imdbRating: "8.5",
-        runtime: "150 min",
-        trailer: "https://www.youtube.com/watch?v=dQw4w9WgXcQ"
-    };
+/**
+ * Returns a saved configuration for the configure page: API keys (secrets masked), the Trakt link status
+ * and the current settings. Needs the same credentials as changing it (see authorizeConfigEdit).
+ */
+app.get('/config/:configId', asyncRoute(async (req, res) => {
+    const { configId } = req.params;
+    // Read fresh from storage: the page reloads the config right after linking Trakt, possibly through another instance
+    const userConfig = await loadUserConfig(configId, { reload: true });
+    if (!userConfig) {
+        return res.status(404).json({ error: "Unknown configuration. Please configure the addon again." });
+    }
+    if (!(await authorizeConfigEdit(req, userConfig)).allowed) {
+        return res.status(403).json({ error: CONFIG_EDIT_FORBIDDEN_ERROR });
+    }
+    const { apiKeys, traktTokens, settings } = userConfig;
 
-    res.json({ meta: mockMeta });
-});
+    let trakt = { linked: false };
+    if (traktTokens) {
+        trakt = {
+            linked: !traktTokens.needsReauth,
+            needsReauth: traktTokens.needsReauth,
+            expiresAt: new Date(traktTokens.expires_at * 1000).toISOString(),
+            username: null
+        };
+        if (trakt.linked) {
+            const traktSettings = await traktRequest('/users/settings', { configId }).catch(error => {
+                console.warn(`Could not fetch the Trakt username for config ${configId}:`, error.message);
+                return null;
+            });
+            trakt.username = (traktSettings && traktSettings.user && traktSettings.user.username) || null;
+        }
+    }
 
-// --- Trakt.tv OAuth Endpoints (Backend Logic) ---
+    res.set('Cache-Control', 'no-store');
+    res.json({
+        configId,
+        addonUrl: `${getBaseUrl(req)}/${configId}/manifest.json`,
+        // Client IDs are public identifiers and are returned as is, so the form can show them
+        apiKeys: Object.fromEntries(API_KEY_FIELDS.map(field => [field, field === 'traktClientId' ? apiKeys[field] || null : maskSecret(apiKeys[field])])),
+        trakt,
+        settings: { ...getGenerationSettings(userConfig), customCatalogs: settings.customCatalogs || [] }
+    });
+}));
 
 /**
- * Endpoint to save API keys to Firestore from the frontend.
- * These keys will then be used by the addon's logic.
+ * Removes a config's Trakt link: the tokens are revoked at Trakt (best effort) and deleted.
  */
-app.post('/save-config', async (req, res) => {
-    const { traktClientId, traktClientSecret, geminiApiKey } = req.body;
+async function unlinkTrakt(configId, userConfig) {
+    if (!userConfig.traktTokens) {
+        return;
+    }
+    const { traktClientId, traktClientSecret } = getEffectiveApiKeys(userConfig);
+    await revokeTraktToken(userConfig.traktTokens.access_token, traktClientId, traktClientSecret).catch(error => {
+        console.warn(`Could not revoke the Trakt token of config ${configId}:`, error.message);
+    });
+    await storage.delete(STORAGE_COLLECTIONS.traktTokens, configId);
+    userConfig.traktTokens = null;
+    traktLibraries.delete(configId);
+}
 
-    if (!db) {
-        return res.status(500).json({ error: "Firestore is not initialized. Cannot save API keys persistently." });
+app.post('/config/:configId/unlink-trakt', asyncRoute(async (req, res) => {
+    const { configId } = req.params;
+    if (!(await authorizeConfigEdit(req, req.userConfig)).allowed) {
+        return res.status(403).json({ error: CONFIG_EDIT_FORBIDDEN_ERROR });
     }
-    if (!traktClientId || !traktClientSecret || !geminiApiKey) {
-        return res.status(400).json({ error: "All API keys are required." });
+    try {
+        await unlinkTrakt(configId, req.userConfig);
+        console.log(`Trakt.tv unlinked from config ${configId}.`);
+        res.json({ success: true, message: "Trakt.tv has been unlinked." });
+    } catch (error) {
+        console.error(`Error unlinking Trakt.tv from config ${configId}:`, error);
+        res.status(500).json({ error: "Failed to unlink Trakt.tv." });
     }
+}));
 
+/**
+ * Deletes a configuration: its Trakt link, API keys and settings. Its addon URL stops working.
+ */
+app.delete('/config/:configId', asyncRoute(async (req, res) => {
+    const { configId } = req.params;
+    if (!(await authorizeConfigEdit(req, req.userConfig)).allowed) {
+        return res.status(403).json({ error: CONFIG_EDIT_FORBIDDEN_ERROR });
+    }
     try {
-        const configDocRef = db.collection('artifacts').doc(appId)
-                                .collection('users').doc(ADDON_CONFIG_USER_ID)
-                                .collection('addon_config').doc('api_keys');
-        await configDocRef.set({
-            traktClientId,
-            traktClientSecret,
-            geminiApiKey,
-            lastUpdated: admin.firestore.FieldValue.serverTimestamp() // Timestamp for when it was last saved
-        }, { merge: true }); // Use merge: true to avoid overwriting other fields if they exist
-
-        // Update in-memory keys for immediate use in this running instance
-        currentApiKeys.traktClientId = traktClientId;
-        currentApiKeys.traktClientSecret = traktClientSecret;
-        currentApiKeys.geminiApiKey = geminiApiKey;
-
-        console.log("API keys saved to Firestore and updated in-memory.");
-        res.json({ success: true, message: "API keys saved successfully!" });
+        await unlinkTrakt(configId, req.userConfig);
+        await storage.delete(STORAGE_COLLECTIONS.settings, configId);
+        await storage.delete(STORAGE_COLLECTIONS.apiKeys, configId);
+        delete userConfigs[configId];
+        console.log(`Config ${configId} deleted.`);
+        res.json({ success: true, message: "Your configuration has been deleted." });
     } catch (error) {
-        console.error("Error saving API keys to Firestore:", error);
-        res.status(500).json({ error: "Failed to save API keys." });
+        console.error(`Error deleting config ${configId}:`, error);
+        res.status(500).json({ error: "Failed to delete the configuration." });
     }
-});
+}));
 
 
 /**
- * Endpoint initiated by the frontend to start the Trakt.tv OAuth flow.
+ * Endpoint initiated by the frontend to start the Trakt.tv OAuth flow for one configuration.
  * It uses the client_id and client_secret received from the frontend for this specific auth initiation.
  */
-app.post('/trakt-auth-initiate', (req, res) => {
-    const { traktClientId, traktClientSecret } = req.body; // Get client ID and secret from the request body
+app.post('/trakt-auth-initiate', asyncRoute(async (req, res) => {
+    const { configId } = req.body;
+    const userConfig = isValidConfigId(configId) ? await loadUserConfig(configId) : null;
+    if (!userConfig) {
+        return res.status(400).json({ error: "Please save your API keys before authorizing Trakt.tv." });
+    }
+    if (!(await authorizeConfigEdit(req, userConfig)).allowed) {
+        return res.status(403).json({ error: CONFIG_EDIT_FORBIDDEN_ERROR });
+    }
 
+    // Client ID and secret from the form, or the saved ones when the form leaves them empty
+    const traktClientId = req.body.traktClientId || userConfig.apiKeys.traktClientId;
+    const traktClientSecret = req.body.traktClientSecret || userConfig.apiKeys.traktClientSecret;
     if (!traktClientId || !traktClientSecret) {
         return res.status(400).json({ error: "Trakt Client ID and Secret are required for authorization." });
     }
@@ -355,22 +3892,22 @@ app.post('/trakt-auth-initiate', (req, res) => {
     const redirectUri = `${getBaseUrl(req)}/trakt-callback`;
     const state = crypto.randomUUID(); // Generate a unique state to link callback request
 
-    // Store the client ID and secret temporarily, associated with the state
-    tempTraktAuthData[state] = { clientId: traktClientId, clientSecret: traktClientSecret };
-    console.log(`Stored temporary Trakt auth data for state: ${state}`);
+    // Store the client ID, secret and config ID until the callback, associated with the state
+    await savePendingTraktAuth(`state:${state}`, { clientId: traktClientId, clientSecret: traktClientSecret, configId }, TRAKT_REDIRECT_AUTH_TTL_MS);
+    console.log(`Stored pending Trakt auth data for state: ${state}`);
 
     const authUrl = `https://trakt.tv/oauth/authorize?response_type=code&client_id=${traktClientId}&redirect_uri=${encodeURIComponent(redirectUri)}&state=${state}`;
     res.json({ authUrl });
-});
+}));
 
 /**
  * Callback endpoint for Trakt.tv OAuth.
  * Trakt.tv redirects the user's browser back to this URL after authorization,
  * providing an authorization 'code' and 'state' in the URL query parameters.
  * This endpoint uses the 'state' to retrieve the temporarily stored client credentials
- * and exchanges the 'code' for access and refresh tokens.
+ * and exchanges the 'code' for access and refresh tokens, stored under the config ID that started the flow.
  */
-app.get('/trakt-callback', async (req, res) => {
+app.get('/trakt-callback', asyncRoute(async (req, res) => {
     const code = req.query.code; // The authorization code from Trakt
     const state = req.query.state; // The state parameter to retrieve stored client credentials
     const redirectUri = `${getBaseUrl(req)}/trakt-callback`; // Must exactly match the URI registered with Trakt.tv
@@ -379,71 +3916,44 @@ app.get('/trakt-callback', async (req, res) => {
         console.error("Trakt callback: Missing authorization code or state.");
         return res.redirect('/configure?error=trakt_no_code_or_state');
     }
+    // States are UUIDs we generated; anything else can't be pending and must not reach the storage lookup
+    if (!isUuid(state)) {
+        console.error("Trakt callback: Malformed state.");
+        return res.redirect('/configure?error=trakt_session_expired');
+    }
 
-    const { clientId, clientSecret } = tempTraktAuthData[state] || {};
-
-    // Remove the temporary data immediately after retrieval for security
-    delete tempTraktAuthData[state];
+    // The pending data is removed on retrieval, so each state can only be used once
+    const { clientId, clientSecret, configId } = (await takePendingTraktAuth(`state:${state}`)) || {};
 
-    if (!clientId || !clientSecret) {
-        console.error(`Trakt API Client ID or Client Secret not found for state ${state}. Session expired or invalid state.`);
+    if (!clientId || !clientSecret || !configId) {
+        console.error(`Trakt API Client ID, Client Secret or config ID not found for state ${state}. Session expired or invalid state.`);
         return res.redirect('/configure?error=trakt_session_expired');
     }
 
     try {
         // Exchange the authorization code for access and refresh tokens
-        const response = await fetch('https://api.trakt.tv/oauth/token', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                code: code,
-                client_id: clientId, // Use the client ID retrieved from temp storage
-                client_secret: clientSecret, // Use the client secret retrieved from temp storage
-                redirect_uri: redirectUri,
-                grant_type: 'authorization_code' // Specifies the OAuth grant type
-            })
+        const { response, data } = await requestTraktOAuthToken({
+            code: code,
+            client_id: clientId, // Use the client ID retrieved from temp storage
+            client_secret: clientSecret, // Use the client secret retrieved from temp storage
+            redirect_uri: redirectUri,
+            grant_type: 'authorization_code' // Specifies the OAuth grant type
         });
 
-        const data = await response.json();
-
         if (response.ok) {
-            const { access_token, refresh_token, expires_in, created_at } = data;
-            // For this demo, we use a fixed user ID. In a real system, you'd map this
-            // to a unique Stremio user or generate a persistent ID for the user.
-            const userId = 'stremio_trakt_user_123'; // Example user ID
-
-            // Store tokens in in-memory object (DEMO ONLY!)
-            userTraktTokens[userId] = {
-                access_token,
-                refresh_token,
-                expires_at: created_at + expires_in // Calculate expiration timestamp
-            };
-            console.log("Trakt tokens received and stored (in-memory for demo). Access token will expire in:", expires_in, "seconds.");
-
-            // --- Conceptual Firestore Integration for Server-Side Storage of Trakt Tokens ---
-            // If Firestore is initialized, persist the Trakt tokens.
-            if (db) {
-                try {
-                    const traktTokenDocRef = db.collection('artifacts').doc(appId)
-                                               .collection('users').doc(ADDON_CONFIG_USER_ID) // Link to the global config user
-                                               .collection('trakt_tokens').doc(userId); // Use a sub-collection for user-specific Trakt tokens
-                    await traktTokenDocRef.set({
-                        access_token: access_token,
-                        refresh_token: refresh_token,
-                        expires_at: expires_in, // Store expires_in directly from Trakt response
-                        lastUpdated: admin.firestore.FieldValue.serverTimestamp()
-                    }, { merge: true });
-                    console.log(`Trakt tokens successfully stored in Firestore for user ${userId}.`);
-                } catch (firestoreError) {
-                    console.error("Error saving Trakt tokens to Firestore:", firestoreError);
-                }
+            console.log(`Trakt tokens received for config ${configId}. Access token will expire in:`, data.expires_in, "seconds.");
+
+            // --- Server-Side Storage of Trakt Tokens ---
+            // Persist the Trakt tokens next to the config's API keys (and in the in-memory copy).
+            try {
+                await saveTraktTokens(configId, data, redirectUri);
+                console.log(`Trakt tokens successfully stored in ${storage.name} storage for config ${configId}.`);
+            } catch (storageError) {
+                console.error("Error saving Trakt tokens to storage:", storageError);
             }
-            // --- End Firestore Conceptual ---
 
-            // Redirect back to the configuration page with success message and addon URL
-            res.redirect(`/configure?trakt_auth_success=true&addonUrl=${encodeURIComponent(`${getBaseUrl(req)}/manifest.json`)}`);
+            // Redirect back to the configuration page with success message and the personal addon URL
+            res.redirect(`/configure?trakt_auth_success=true&configId=${configId}&addonUrl=${encodeURIComponent(`${getBaseUrl(req)}/${configId}/manifest.json`)}`);
         } else {
             // Log Trakt API error and redirect with error message
             console.error("Error exchanging Trakt code for tokens:", data);
@@ -454,88 +3964,184 @@ app.get('/trakt-callback', async (req, res) => {
         console.error("Network or parsing error during Trakt token exchange:", error);
         res.redirect('/configure?error=network_error');
     }
-});
+}));
+
+/**
+ * Starts the device-code flow, for linking Trakt where the configure page can't receive a redirect (TVs,
+ * headless setups) or without registering a redirect URI. The page shows the returned code and
+ * verification URL, then polls /trakt-device-poll while the user enters the code on trakt.tv/activate.
+ */
+app.post('/trakt-device-code', asyncRoute(async (req, res) => {
+    const { configId } = req.body;
+    const userConfig = isValidConfigId(configId) ? await loadUserConfig(configId) : null;
+    if (!userConfig) {
+        return res.status(400).json({ error: "Please save your API keys before authorizing Trakt.tv." });
+    }
+    if (!(await authorizeConfigEdit(req, userConfig)).allowed) {
+        return res.status(403).json({ error: CONFIG_EDIT_FORBIDDEN_ERROR });
+    }
+    const { traktClientId, traktClientSecret } = getEffectiveApiKeys(userConfig);
+    if (!traktClientId || !traktClientSecret) {
+        return res.status(400).json({ error: "Trakt Client ID and Secret are required for authorization." });
+    }
+
+    try {
+        const { response, data } = await requestTraktOAuthToken({ client_id: traktClientId }, '/oauth/device/code');
+        if (!response.ok) {
+            console.error(`Trakt refused a device code for config ${configId} (status ${response.status}):`, data);
+            return res.status(502).json({ error: "Trakt.tv did not issue a device code. Check your Trakt Client ID." });
+        }
+
+        await savePendingTraktAuth(`device:${configId}`, {
+            configId,
+            clientId: traktClientId,
+            clientSecret: traktClientSecret,
+            deviceCode: data.device_code,
+            interval: data.interval,
+            lastPolledAt: 0
+        }, data.expires_in * 1000);
+        console.log(`Started the Trakt device-code flow for config ${configId}.`);
+        res.json({ userCode: data.user_code, verificationUrl: data.verification_url, interval: data.interval, expiresIn: data.expires_in });
+    } catch (error) {
+        console.error(`Network error requesting a Trakt device code for config ${configId}:`, error);
+        res.status(502).json({ error: "Could not reach Trakt.tv." });
+    }
+}));
+
+/**
+ * Checks whether the user has entered the device code yet. Resolves to `{ status }`: 'pending', 'linked',
+ * 'expired' (code expired or unknown, e.g. replaced by a newer one) or 'denied'. Polls faster than the
+ * interval Trakt asked for are answered with 'pending' without asking Trakt.
+ */
+app.post('/trakt-device-poll', asyncRoute(async (req, res) => {
+    const { configId } = req.body;
+    const userConfig = isValidConfigId(configId) ? await loadUserConfig(configId) : null;
+    if (!userConfig) {
+        return res.status(400).json({ error: "Unknown configuration." });
+    }
+    if (!(await authorizeConfigEdit(req, userConfig)).allowed) {
+        return res.status(403).json({ error: CONFIG_EDIT_FORBIDDEN_ERROR });
+    }
+
+    const key = `device:${configId}`;
+    const pending = await getPendingTraktAuth(key);
+    if (!pending) {
+        return res.json({ status: 'expired' });
+    }
+    if (Date.now() - pending.lastPolledAt < pending.interval * 1000) {
+        return res.json({ status: 'pending' });
+    }
+    await storage.set(STORAGE_COLLECTIONS.traktAuthStates, key, { lastPolledAt: Date.now() });
+
+    try {
+        const { response, data } = await requestTraktOAuthToken({
+            code: pending.deviceCode,
+            client_id: pending.clientId,
+            client_secret: pending.clientSecret
+        }, '/oauth/device/token');
+
+        switch (response.status) {
+            case 200:
+                await storage.delete(STORAGE_COLLECTIONS.traktAuthStates, key);
+                await saveTraktTokens(configId, data, TRAKT_DEVICE_REDIRECT_URI);
+                traktLibraries.delete(configId);
+                console.log(`Trakt tokens received through the device-code flow for config ${configId}.`);
+                return res.json({ status: 'linked' });
+            case 400: // The user hasn't entered the code yet
+                return res.json({ status: 'pending' });
+            case 429: // Polling too fast: slow down for the rest of this code
+                await storage.set(STORAGE_COLLECTIONS.traktAuthStates, key, { interval: pending.interval + 1 });
+                return res.json({ status: 'pending' });
+            case 418:
+                await storage.delete(STORAGE_COLLECTIONS.traktAuthStates, key);
+                return res.json({ status: 'denied' });
+            case 404: // Unknown code
+            case 409: // Code already used
+            case 410: // Code expired
+                await storage.delete(STORAGE_COLLECTIONS.traktAuthStates, key);
+                return res.json({ status: 'expired' });
+            default:
+                console.error(`Unexpected Trakt device token response for config ${configId} (status ${response.status}):`, data);
+                return res.status(502).json({ error: "Trakt.tv returned an unexpected response." });
+        }
+    } catch (error) {
+        console.error(`Network error polling the Trakt device token for config ${configId}:`, error);
+        res.status(502).json({ error: "Could not reach Trakt.tv." });
+    }
+}));
 
 /**
- * Function to refresh an expired Trakt access token using the refresh token.
- * This would be called internally by your backend logic before making Trakt API calls
- * if the current access token is found to be expired.
+ * Refreshes a config's Trakt access token using its refresh token.
+ * Called by `traktRequest` when the access token is about to expire or is rejected.
+ * Concurrent calls for the same config share one refresh. Resolves to true when new tokens were stored.
+ * When Trakt rejects the refresh token itself (revoked or expired), the link is marked `needsReauth`,
+ * unless another instance has refreshed it in the meantime.
  */
-async function refreshTraktToken(userId) {
-    const tokens = userTraktTokens[userId]; // Get current in-memory tokens for the user
+function refreshTraktToken(configId) {
+    if (!pendingTraktRefreshes.has(configId)) {
+        const refresh = performTraktTokenRefresh(configId).finally(() => pendingTraktRefreshes.delete(configId));
+        pendingTraktRefreshes.set(configId, refresh);
+    }
+    return pendingTraktRefreshes.get(configId);
+}
+
+async function performTraktTokenRefresh(configId) {
+    const userConfig = await loadUserConfig(configId);
+    const tokens = userConfig && userConfig.traktTokens; // Get current in-memory tokens for the config
     if (!tokens || !tokens.refresh_token) {
-        console.warn(`No refresh token found for user ${userId}. Cannot refresh.`);
+        console.warn(`No refresh token found for config ${configId}. Cannot refresh.`);
         return false;
     }
 
-    // Check if the current access token is still valid (using the original expires_in from Trakt)
-    // Note: 'expires_at' was created_at + expires_in.
-    // To properly check, you'd need the 'created_at' from the original token response, or recalculate.
-    // For simplicity, this example just checks for presence. In a real app, track `created_at` or fetch from DB.
-    // A proper check would involve fetching the latest token data from Firestore and comparing timestamps.
-    console.log(`Refreshing Trakt token for user ${userId}...`);
+    console.log(`Refreshing Trakt token for config ${configId}...`);
 
     // Ensure API keys are loaded before attempting to refresh
-    await loadApiKeysFromFirestore();
+    await loadApiKeysFromStorage();
+    const apiKeys = getEffectiveApiKeys(userConfig);
 
-    if (!currentApiKeys.traktClientId || !currentApiKeys.traktClientSecret) {
-        console.error("Trakt Client ID or Secret is not available in currentApiKeys. Cannot refresh Trakt token.");
+    if (!apiKeys.traktClientId || !apiKeys.traktClientSecret) {
+        console.error(`Trakt Client ID or Secret is not available for config ${configId}. Cannot refresh Trakt token.`);
         return false;
     }
 
     try {
-        const response = await fetch('https://api.trakt.tv/oauth/token', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                refresh_token: tokens.refresh_token,
-                client_id: currentApiKeys.traktClientId, // Use dynamically loaded key
-                client_secret: currentApiKeys.traktClientSecret, // Use dynamically loaded key
-                grant_type: 'refresh_token' // Specifies the OAuth grant type for refresh
-            })
+        const { response, data } = await requestTraktOAuthToken({
+            refresh_token: tokens.refresh_token,
+            client_id: apiKeys.traktClientId, // Use the config's key (or the instance-wide fallback)
+            client_secret: apiKeys.traktClientSecret,
+            redirect_uri: tokens.redirect_uri, // Trakt expects the redirect URI used for the original authorization
+            grant_type: 'refresh_token' // Specifies the OAuth grant type for refresh
         });
 
-        const data = await response.json();
-
         if (response.ok) {
-            const { access_token, refresh_token, expires_in, created_at } = data;
-            // Update the stored tokens in-memory
-            userTraktTokens[userId] = {
-                access_token,
-                refresh_token,
-                expires_at: created_at + expires_in
-            };
-            console.log(`Trakt token refreshed for user ${userId}. New expiration: ${new Date(userTraktTokens[userId].expires_at * 1000)}`);
-
-            // --- Conceptual Firestore Integration for Token Update ---
-            if (db) {
-                try {
-                    const traktTokenDocRef = db.collection('artifacts').doc(appId)
-                                               .collection('users').doc(ADDON_CONFIG_USER_ID)
-                                               .collection('trakt_tokens').doc(userId);
-                    await traktTokenDocRef.update({
-                        access_token: access_token,
-                        refresh_token: refresh_token,
-                        expires_at: expires_in, // Store expires_in directly from Trakt response
-                        lastUpdated: admin.firestore.FieldValue.serverTimestamp()
-                    });
-                    console.log(`Trakt tokens updated in Firestore for user ${userId}.`);
-                } catch (firestoreError) {
-                    console.error("Error updating Trakt tokens in Firestore:", firestoreError);
+            const traktTokens = await saveTraktTokens(configId, data, tokens.redirect_uri);
+            console.log(`Trakt token refreshed for config ${configId}. New expiration: ${new Date(traktTokens.expires_at * 1000)}`);
+            return true;
+        }
+
+        console.error(`Error refreshing Trakt token for config ${configId}:`, data);
+        // invalid_grant means the refresh token itself was revoked, expired or already used. Other errors
+        // (e.g. invalid_client for a wrong client secret) can be fixed without a new authorization.
+        if (data && data.error === 'invalid_grant') {
+            try {
+                // Refresh tokens are single-use: another instance may have just spent this one and stored new tokens
+                const stored = await storage.get(STORAGE_COLLECTIONS.traktTokens, configId);
+                if (stored && stored.access_token && stored.refresh_token !== tokens.refresh_token) {
+                    console.log(`Trakt token for config ${configId} was already refreshed by another instance.`);
+                    const { access_token, refresh_token, expires_at, needsReauth } = stored;
+                    Object.assign(tokens, { access_token, refresh_token, expires_at, needsReauth: !!needsReauth });
+                    return !tokens.needsReauth;
                 }
+                tokens.needsReauth = true;
+                await storage.set(STORAGE_COLLECTIONS.traktTokens, configId, { needsReauth: true });
+            } catch (storageError) {
+                console.error("Error marking Trakt tokens as needing re-authorization:", storageError);
             }
-            // --- End Firestore Conceptual ---
-
-            return true;
-        } else {
-            console.error(`Error refreshing Trakt token for user ${userId}:`, data);
-            // Handle specific refresh token errors (e.g., token revoked)
-            return false;
+            console.warn(`Trakt.tv link for config ${configId} needs to be re-authorized.`);
         }
+        return false;
     } catch (error) {
-        console.error(`Network error during Trakt token refresh for user ${userId}:`, error);
+        console.error(`Network error during Trakt token refresh for config ${configId}:`, error);
         return false;
     }
 }
@@ -549,6 +4155,16 @@ app.get('/configure', (req, res) => {
     // NOT for storing sensitive Trakt tokens, which are handled server-side.
     const firebaseConfigJson = typeof __firebase_config !== 'undefined' ? JSON.stringify(JSON.parse(__firebase_config)) : '{}';
     const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? `'${__initial_auth_token}'` : 'undefined';
+    // Defaults and choices for the generation settings form
+    const generationOptionsJson = JSON.stringify({
+        defaults: DEFAULT_GENERATION_SETTINGS,
+        providers: getAvailableLlmProviders(),
+        models: SUGGESTED_GEMINI_MODELS,
+        safetyLevels: Object.keys(SAFETY_LEVELS),
+        minResultCount: MIN_RESULT_COUNT,
+        maxResultCount: MAX_RESULT_COUNT,
+        maxCustomCatalogs: MAX_CUSTOM_CATALOGS
+    });
 
     res.send(`
         <!DOCTYPE html>
@@ -577,7 +4193,7 @@ app.get('/configure', (req, res) => {
                     max-width: 800px;
                 }
                 /* Styling for input fields */
-                input[type="text"], input[type="password"] {
+                input[type="text"], input[type="password"], input[type="number"], select {
                     background-color: #1e293b; /* Tailwind slate-800 */
                     border: 1px solid #475569; /* Tailwind slate-600 */
                     color: #e2e8f0;
@@ -586,7 +4202,7 @@ app.get('/configure', (req, res) => {
                     width: 100%;
                     transition: all 0.2s ease-in-out;
                 }
-                input[type="text"]:focus, input[type="password"]:focus {
+                input[type="text"]:focus, input[type="password"]:focus, input[type="number"]:focus, select:focus {
                     outline: none;
                     box-shadow: 0 0 0 2px rgba(59, 130, 246, 0.5); /* blue-500 ring */
                 }
@@ -678,19 +4294,53 @@ app.get('/configure', (req, res) => {
                 const { useState, useEffect } = React;
                 const { createRoot } = ReactDOM;
 
+                // Gemini settings defaults and choices provided by the server
+                const GENERATION_OPTIONS = ${generationOptionsJson};
+                const PROVIDER_LABELS = { gemini: 'Google Gemini', openai: 'OpenAI-compatible server', mock: 'Mock (offline fixtures)' };
+
                 function App() {
                     // State variables for API keys and messages
                     const [traktClientId, setTraktClientId] = useState('');
                     const [traktClientSecret, setTraktClientSecret] = useState('');
                     const [geminiApiKey, setGeminiApiKey] = useState('');
+                    const [tmdbApiKey, setTmdbApiKey] = useState('');
+                    const [fanartApiKey, setFanartApiKey] = useState('');
+                    // Gemini model and generation settings for this configuration
+                    const [llmProvider, setLlmProvider] = useState(GENERATION_OPTIONS.defaults.llmProvider);
+                    const [geminiModel, setGeminiModel] = useState(GENERATION_OPTIONS.defaults.geminiModel);
+                    const [llmModel, setLlmModel] = useState(GENERATION_OPTIONS.defaults.llmModel);
+                    const [temperature, setTemperature] = useState(GENERATION_OPTIONS.defaults.temperature);
+                    const [resultCount, setResultCount] = useState(GENERATION_OPTIONS.defaults.resultCount);
+                    const [safetyLevel, setSafetyLevel] = useState(GENERATION_OPTIONS.defaults.safetyLevel);
+                    const [excludeHidden, setExcludeHidden] = useState(GENERATION_OPTIONS.defaults.excludeHidden);
+                    const [traktScrobble, setTraktScrobble] = useState(GENERATION_OPTIONS.defaults.traktScrobble);
+                    const [customCatalogs, setCustomCatalogs] = useState([]); // [{ id?, name, type, prompt }]
                     const [addonUrl, setAddonUrl] = useState('');
+                    // Config ID of this browser's personal configuration, remembered across visits
+                    const [configId, setConfigId] = useState(localStorage.getItem('geminiAddonConfigId') || '');
                     const [message, setMessage] = useState('');
                     const [error, setError] = useState('');
+                    // Instance owner session (see the "Instance Owner" panel)
+                    const [owner, setOwner] = useState({ signedIn: false, claimed: true, csrfToken: null });
+                    const [ownerPassword, setOwnerPassword] = useState('');
+                    const [claimToken, setClaimToken] = useState('');
+                    // Masked secrets of the saved configuration (empty fields keep them) and its Trakt link status
+                    const [savedKeys, setSavedKeys] = useState({});
+                    // Results of the server's key checks on the last save: { [field]: { valid, message } }
+                    const [keyValidation, setKeyValidation] = useState({});
+                    const [traktStatus, setTraktStatus] = useState(null);
+                    // Device-code linking in progress: { userCode, verificationUrl, interval } or null
+                    const [deviceAuth, setDeviceAuth] = useState(null);
 
                     // Effect hook to run once on component mount for initial setup and URL parameter parsing
                     useEffect(() => {
                         // Parse URL parameters for post-Trakt authentication messages
                         const params = new URLSearchParams(window.location.search);
+                        // Stremio's "Configure" button and the Trakt callback pass the config ID along
+                        if (params.get('configId')) {
+                            rememberConfigId(params.get('configId'));
+                        }
+                        const savedConfigId = params.get('configId') || configId;
                         if (params.get('trakt_auth_success')) {
                             setMessage('Trakt.tv authentication successful! Your addon is ready.');
                             setAddonUrl(params.get('addonUrl'));
@@ -701,29 +4351,221 @@ app.get('/configure', (req, res) => {
                             window.history.replaceState({}, document.title, window.location.pathname);
                         }
 
-                        // Load saved keys from backend if available (conceptual for a refresh or new session)
-                        // In a production app, you might fetch initial config from backend if it's saved.
-                        // For this demo, keys are entered fresh or picked up from a new /save-config call.
+                        // The owner session comes first: an owner opening someone else's configuration needs its CSRF token
+                        loadOwnerSession().then((session) => {
+                            if (savedConfigId) {
+                                loadSavedConfig(savedConfigId, session && session.csrfToken);
+                            }
+                        });
                     }, []);
 
-                    // Handler for saving all API keys to the backend (which persists them to Firestore)
+                    // Stores the config ID in state and localStorage so later visits update the same configuration.
+                    // The edit token issued with a new configuration is kept per config ID: only it can change that configuration.
+                    const rememberConfigId = (id, editToken) => {
+                        localStorage.setItem('geminiAddonConfigId', id);
+                        if (editToken) localStorage.setItem('geminiAddonEditToken:' + id, editToken);
+                        setConfigId(id);
+                    };
+
+                    // Headers for requests that change a configuration: its edit token and, for a signed-in owner, the CSRF token.
+                    // Callers that just received a CSRF token pass it, since the owner state only updates on the next render.
+                    const authHeaders = (id, csrfToken = owner.csrfToken) => {
+                        const headers = { 'Content-Type': 'application/json' };
+                        const editToken = id && localStorage.getItem('geminiAddonEditToken:' + id);
+                        if (editToken) headers['X-Edit-Token'] = editToken;
+                        if (csrfToken) headers['X-CSRF-Token'] = csrfToken;
+                        return headers;
+                    };
+
+                    // Prefills the form from a saved configuration. Secrets come back masked and are shown as placeholders.
+                    const loadSavedConfig = async (id, csrfToken) => {
+                        try {
+                            const response = await fetch('/config/' + id, { headers: authHeaders(id, csrfToken) });
+                            if (response.status === 404) {
+                                // The configuration was deleted; the next save creates a new one
+                                localStorage.removeItem('geminiAddonConfigId');
+                                setConfigId('');
+                                return;
+                            }
+                            const data = await response.json();
+                            if (!response.ok) {
+                                setError('Could not load your saved configuration: ' + (data.error || 'Unknown error.'));
+                                return;
+                            }
+                            setTraktClientId(data.apiKeys.traktClientId || '');
+                            setTraktClientSecret('');
+                            setGeminiApiKey('');
+                            setTmdbApiKey('');
+                            setFanartApiKey('');
+                            setSavedKeys(data.apiKeys);
+                            setTraktStatus(data.trakt);
+                            setAddonUrl(data.addonUrl);
+                            setLlmProvider(data.settings.llmProvider);
+                            setGeminiModel(data.settings.geminiModel);
+                            setLlmModel(data.settings.llmModel);
+                            setTemperature(data.settings.temperature);
+                            setResultCount(data.settings.resultCount);
+                            setSafetyLevel(data.settings.safetyLevel);
+                            setExcludeHidden(data.settings.excludeHidden);
+                            setTraktScrobble(data.settings.traktScrobble);
+                            setCustomCatalogs(data.settings.customCatalogs);
+                        } catch (err) {
+                            setError('Network error while loading your saved configuration: ' + err.message);
+                        }
+                    };
+
+                    // Placeholder for a secret input: the masked saved value, or a prompt to enter one
+                    const secretPlaceholder = (field, prompt) => (
+                        savedKeys[field] ? 'Saved (' + savedKeys[field] + '), leave empty to keep' : prompt
+                    );
+
+                    const handleUnlinkTrakt = async () => {
+                        if (!window.confirm('Unlink Trakt.tv from this configuration?')) return;
+                        setError('');
+                        try {
+                            const response = await fetch('/config/' + configId + '/unlink-trakt', { method: 'POST', headers: authHeaders(configId) });
+                            const data = await response.json();
+                            if (response.ok && data.success) {
+                                setTraktStatus({ linked: false });
+                                setMessage(data.message);
+                            } else {
+                                setError('Failed to unlink Trakt.tv: ' + (data.error || 'Unknown error.'));
+                            }
+                        } catch (err) {
+                            setError('Network error while unlinking Trakt.tv: ' + err.message);
+                        }
+                    };
+
+                    const handleDeleteConfig = async () => {
+                        if (!window.confirm('Delete your configuration? Your addon URL will stop working.')) return;
+                        setError('');
+                        try {
+                            const response = await fetch('/config/' + configId, { method: 'DELETE', headers: authHeaders(configId) });
+                            const data = await response.json();
+                            if (response.ok && data.success) {
+                                localStorage.removeItem('geminiAddonConfigId');
+                                localStorage.removeItem('geminiAddonEditToken:' + configId);
+                                setConfigId('');
+                                setSavedKeys({});
+                                setTraktStatus(null);
+                                setAddonUrl('');
+                                setMessage(data.message);
+                            } else {
+                                setError('Failed to delete your configuration: ' + (data.error || 'Unknown error.'));
+                            }
+                        } catch (err) {
+                            setError('Network error while deleting your configuration: ' + err.message);
+                        }
+                    };
+
+                    // Resolves to the owner session, or null when it couldn't be loaded
+                    const loadOwnerSession = async () => {
+                        try {
+                            const response = await fetch('/owner/session');
+                            if (!response.ok) return null;
+                            const session = await response.json();
+                            setOwner(session);
+                            return session;
+                        } catch (err) {
+                            console.error('Failed to load the owner session:', err);
+                            return null;
+                        }
+                    };
+
+                    // Claims an unowned instance with the token from the server log, or signs in with the owner password
+                    const handleOwnerSignIn = async () => {
+                        setError('');
+                        try {
+                            const response = await fetch(owner.claimed ? '/owner/sign-in' : '/owner/claim', {
+                                method: 'POST',
+                                headers: { 'Content-Type': 'application/json' },
+                                body: JSON.stringify(owner.claimed ? { password: ownerPassword } : { claimToken, password: ownerPassword })
+                            });
+                            const data = await response.json();
+                            if (response.ok && data.success) {
+                                setOwner({ signedIn: true, claimed: true, csrfToken: data.csrfToken });
+                                setOwnerPassword('');
+                                setClaimToken('');
+                                setError('');
+                                setMessage('Signed in as the instance owner.');
+                                // Configurations only the owner may open load now
+                                if (configId) loadSavedConfig(configId, data.csrfToken);
+                            } else {
+                                setError('Owner sign-in failed: ' + (data.error || 'Unknown error.'));
+                            }
+                        } catch (err) {
+                            setError('Network error during owner sign-in: ' + err.message);
+                        }
+                    };
+
+                    const handleOwnerSignOut = async () => {
+                        await fetch('/owner/sign-out', { method: 'POST', headers: authHeaders() });
+                        setOwner({ signedIn: false, claimed: true, csrfToken: null });
+                        setMessage('Signed out.');
+                    };
+
+                    // Saves the keys entered above as the defaults for every configuration without its own keys
+                    const handleSaveInstanceKeys = async () => {
+                        setError('');
+                        try {
+                            const response = await fetch('/owner/instance-keys', {
+                                method: 'POST',
+                                headers: authHeaders(),
+                                body: JSON.stringify({ traktClientId, traktClientSecret, geminiApiKey, tmdbApiKey, fanartApiKey })
+                            });
+                            const data = await response.json();
+                            if (response.ok && data.success) {
+                                setMessage(data.message);
+                            } else {
+                                setError('Failed to save instance-wide keys: ' + (data.error || 'Unknown error.'));
+                            }
+                        } catch (err) {
+                            setError('Network error while saving instance-wide keys: ' + err.message);
+                        }
+                    };
+
+                    // Handler for saving all API keys to the backend (which persists them to its storage backend)
                     const handleSaveKeys = async () => {
-                        if (!traktClientId || !traktClientSecret || !geminiApiKey) {
+                        // Empty secret fields keep their saved values
+                        const hasKey = (value, field) => Boolean(value || savedKeys[field]);
+                        if (!traktClientId || !hasKey(traktClientSecret, 'traktClientSecret') || (llmProvider === 'gemini' && !hasKey(geminiApiKey, 'geminiApiKey'))) {
                             setError('All API key fields must be filled to save.');
                             return;
                         }
                         setError('');
-                        setMessage('Saving API keys...');
+                        setKeyValidation({});
+                        setMessage('Checking and saving API keys...');
                         try {
                             const response = await fetch('/save-config', {
                                 method: 'POST',
-                                headers: { 'Content-Type': 'application/json' },
-                                body: JSON.stringify({ traktClientId, traktClientSecret, geminiApiKey })
+                                headers: authHeaders(configId),
+                                body: JSON.stringify({
+                                    configId: configId || undefined,
+                                    traktClientId,
+                                    traktClientSecret,
+                                    geminiApiKey,
+                                    tmdbApiKey,
+                                    fanartApiKey,
+                                    llmProvider,
+                                    geminiModel,
+                                    llmModel,
+                                    temperature,
+                                    resultCount,
+                                    safetyLevel,
+                                    excludeHidden,
+                                    traktScrobble,
+                                    customCatalogs
+                                })
                             });
                             const data = await response.json();
+                            setKeyValidation(data.keyValidation || {});
                             if (response.ok && data.success) {
-                                setMessage('API keys saved successfully for this addon instance! You can now authorize Trakt.tv.');
+                                rememberConfigId(data.configId, data.editToken);
+                                setAddonUrl(data.addonUrl);
+                                await loadSavedConfig(data.configId); // Shows the saved keys masked and keeps the catalog IDs assigned by the server
+                                setMessage('API keys saved successfully for your personal configuration! You can now authorize Trakt.tv.');
                             } else {
+                                setMessage('');
                                 setError('Failed to save API keys: ' + (data.error || 'Unknown error.'));
                             }
                         } catch (err) {
@@ -731,23 +4573,45 @@ app.get('/configure', (req, res) => {
                         }
                     };
 
+                    // Shows the server's check of one key below its input: accepted, rejected or not checked
+                    const renderKeyValidation = (field) => {
+                        const result = keyValidation[field];
+                        if (!result) return null;
+                        const color = result.valid === true ? 'text-green-400' : result.valid === false ? 'text-red-400' : 'text-yellow-400';
+                        return <p className={'text-xs mt-1 ' + color}>{result.message}</p>;
+                    };
+
+                    // Helpers for editing the list of themed catalogs
+                    const updateCustomCatalog = (index, field, value) => {
+                        setCustomCatalogs(customCatalogs.map((catalog, i) => i === index ? { ...catalog, [field]: value } : catalog));
+                    };
+                    const addCustomCatalog = () => {
+                        setCustomCatalogs([...customCatalogs, { name: '', type: 'movie', prompt: '' }]);
+                    };
+                    const removeCustomCatalog = (index) => {
+                        setCustomCatalogs(customCatalogs.filter((catalog, i) => i !== index));
+                    };
+
                     // Handler for initiating Trakt authentication
                     const handleTraktAuth = async () => {
                         // Ensure keys are set before attempting Trakt auth
-                        if (!traktClientId || !traktClientSecret) {
+                        if (!traktClientId || !(traktClientSecret || savedKeys.traktClientSecret)) {
                             setError('Please enter both Trakt Client ID and Secret before authorizing.');
                             return;
                         }
+                        if (!configId) {
+                            setError('Please save your API keys before authorizing Trakt.tv.');
+                            return;
+                        }
                         setError('');
                         setMessage('Initiating Trakt.tv authorization...');
                         try {
                             // Call backend endpoint to get the Trakt authorization URL, passing client credentials
                             const response = await fetch('/trakt-auth-initiate', {
                                 method: 'POST',
-                                headers: {
-                                    'Content-Type': 'application/json'
-                                },
+                                headers: authHeaders(configId),
                                 body: JSON.stringify({
+                                    configId, // Trakt tokens are stored under this configuration
                                     traktClientId,
                                     traktClientSecret // These are sent to the backend for the immediate OAuth flow
                                 })
@@ -764,6 +4628,72 @@ app.get('/configure', (req, res) => {
                         }
                     };
 
+                    // Starts linking Trakt with a code entered on trakt.tv/activate, e.g. from a phone while the page runs on a TV
+                    const handleTraktDeviceAuth = async () => {
+                        if (!configId) {
+                            setError('Please save your API keys before authorizing Trakt.tv.');
+                            return;
+                        }
+                        setError('');
+                        try {
+                            const response = await fetch('/trakt-device-code', {
+                                method: 'POST',
+                                headers: authHeaders(configId),
+                                body: JSON.stringify({ configId })
+                            });
+                            const data = await response.json();
+                            if (response.ok && data.userCode) {
+                                setDeviceAuth(data);
+                                setMessage('');
+                            } else {
+                                setError('Failed to get a Trakt.tv code. ' + (data.error || ''));
+                            }
+                        } catch (err) {
+                            setError('Network error while requesting a Trakt.tv code: ' + err.message);
+                        }
+                    };
+
+                    // Polls until the code has been entered (or expires) while device-code linking is in progress
+                    useEffect(() => {
+                        if (!deviceAuth) return;
+                        let cancelled = false;
+                        let timer;
+                        const poll = async () => {
+                            try {
+                                const response = await fetch('/trakt-device-poll', {
+                                    method: 'POST',
+                                    headers: authHeaders(configId),
+                                    body: JSON.stringify({ configId })
+                                });
+                                const data = await response.json();
+                                if (cancelled) return;
+                                if (response.ok && data.status === 'pending') {
+                                    timer = setTimeout(poll, deviceAuth.interval * 1000);
+                                    return;
+                                }
+                                setDeviceAuth(null);
+                                if (data.status === 'linked') {
+                                    setMessage('Trakt.tv authentication successful! Your addon is ready.');
+                                    loadSavedConfig(configId);
+                                } else if (data.status === 'denied') {
+                                    setError('Trakt.tv authorization was denied.');
+                                } else if (data.status === 'expired') {
+                                    setError('The Trakt.tv code expired. Please request a new one.');
+                                } else {
+                                    setError('Trakt.tv authorization failed: ' + (data.error || 'Unknown error.'));
+                                }
+                            } catch (err) {
+                                // Temporary network problems: keep waiting
+                                if (!cancelled) timer = setTimeout(poll, deviceAuth.interval * 1000);
+                            }
+                        };
+                        timer = setTimeout(poll, deviceAuth.interval * 1000);
+                        return () => {
+                            cancelled = true;
+                            clearTimeout(timer);
+                        };
+                    }, [deviceAuth]);
+
                     // Handler for copying the addon URL to clipboard
                     const handleCopyUrl = () => {
                         const textarea = document.createElement('textarea');
@@ -813,6 +4743,7 @@ app.get('/configure', (req, res) => {
                                         onChange={(e) => setTraktClientId(e.target.value)}
                                         placeholder="Enter your Trakt Client ID"
                                     />
+                                    {renderKeyValidation('traktClientId')}
                                 </div>
                                 {/* Input field for Trakt Client Secret */}
                                 <div>
@@ -825,7 +4756,7 @@ app.get('/configure', (req, res) => {
                                         className="shadow appearance-none border rounded w-full py-2 px-3 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500"
                                         value={traktClientSecret}
                                         onChange={(e) => setTraktClientSecret(e.target.value)}
-                                        placeholder="Enter your Trakt Client Secret"
+                                        placeholder={secretPlaceholder('traktClientSecret', 'Enter your Trakt Client Secret')}
                                     />
                                 </div>
                                 {/* Input field for Gemini API Key */}
@@ -839,19 +4770,243 @@ app.get('/configure', (req, res) => {
                                         className="shadow appearance-none border rounded w-full py-2 px-3 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500"
                                         value={geminiApiKey}
                                         onChange={(e) => setGeminiApiKey(e.target.value)}
-                                        placeholder="Enter your Google Gemini API Key"
+                                        placeholder={secretPlaceholder('geminiApiKey', 'Enter your Google Gemini API Key')}
+                                    />
+                                    {renderKeyValidation('geminiApiKey')}
+                                </div>
+                                {/* Optional artwork keys; without them catalogs show placeholder posters */}
+                                <div>
+                                    <label htmlFor="tmdbApiKey" className="block text-slate-300 text-sm font-bold mb-2 mt-4">
+                                        TMDB API Key (optional):
+                                    </label>
+                                    <input
+                                        type="password"
+                                        id="tmdbApiKey"
+                                        className="shadow appearance-none border rounded w-full py-2 px-3 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                        value={tmdbApiKey}
+                                        onChange={(e) => setTmdbApiKey(e.target.value)}
+                                        placeholder={secretPlaceholder('tmdbApiKey', 'For posters and backgrounds from TMDB')}
+                                    />
+                                </div>
+                                <div>
+                                    <label htmlFor="fanartApiKey" className="block text-slate-300 text-sm font-bold mb-2 mt-4">
+                                        fanart.tv API Key (optional):
+                                    </label>
+                                    <input
+                                        type="password"
+                                        id="fanartApiKey"
+                                        className="shadow appearance-none border rounded w-full py-2 px-3 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                        value={fanartApiKey}
+                                        onChange={(e) => setFanartApiKey(e.target.value)}
+                                        placeholder={secretPlaceholder('fanartApiKey', 'Used for logos and when TMDB has no artwork')}
+                                    />
+                                </div>
+
+                                <h3 className="text-xl font-semibold text-white mt-6">Recommendation Settings</h3>
+                                {/* Provider choice is only shown when the server offers more than Gemini */}
+                                {GENERATION_OPTIONS.providers.length > 1 && (
+                                <div>
+                                    <label htmlFor="llmProvider" className="block text-slate-300 text-sm font-bold mb-2 mt-4">
+                                        AI Provider:
+                                    </label>
+                                    <select
+                                        id="llmProvider"
+                                        className="shadow border rounded w-full py-2 px-3 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                        value={llmProvider}
+                                        onChange={(e) => setLlmProvider(e.target.value)}
+                                    >
+                                        {GENERATION_OPTIONS.providers.map((provider) => (
+                                            <option key={provider} value={provider}>{PROVIDER_LABELS[provider] || provider}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                )}
+                                {/* Model name: suggestions are offered, but any model name can be typed in */}
+                                {llmProvider === 'gemini' && (
+                                <div>
+                                    <label htmlFor="geminiModel" className="block text-slate-300 text-sm font-bold mb-2 mt-4">
+                                        Gemini Model:
+                                    </label>
+                                    <input
+                                        type="text"
+                                        id="geminiModel"
+                                        list="geminiModelOptions"
+                                        className="shadow appearance-none border rounded w-full py-2 px-3 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                        value={geminiModel}
+                                        onChange={(e) => setGeminiModel(e.target.value)}
+                                        placeholder={GENERATION_OPTIONS.defaults.geminiModel}
+                                    />
+                                    <datalist id="geminiModelOptions">
+                                        {GENERATION_OPTIONS.models.map((model) => <option key={model} value={model} />)}
+                                    </datalist>
+                                    {renderKeyValidation('geminiModel')}
+                                    <p className="text-xs text-slate-400 mt-1">
+                                        If this model is retired by Google, the addon falls back to {GENERATION_OPTIONS.defaults.geminiModel}.
+                                    </p>
+                                </div>
+                                )}
+                                {llmProvider === 'openai' && (
+                                <div>
+                                    <label htmlFor="llmModel" className="block text-slate-300 text-sm font-bold mb-2 mt-4">
+                                        Model:
+                                    </label>
+                                    <input
+                                        type="text"
+                                        id="llmModel"
+                                        className="shadow appearance-none border rounded w-full py-2 px-3 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                        value={llmModel}
+                                        onChange={(e) => setLlmModel(e.target.value)}
+                                        placeholder={GENERATION_OPTIONS.defaults.llmModel}
+                                    />
+                                    <p className="text-xs text-slate-400 mt-1">
+                                        The model name as known to the server's OpenAI-compatible endpoint (e.g. an Ollama model tag).
+                                    </p>
+                                </div>
+                                )}
+                                {/* Temperature: higher values give more varied recommendations */}
+                                <div>
+                                    <label htmlFor="temperature" className="block text-slate-300 text-sm font-bold mb-2 mt-4">
+                                        Temperature (0 - 2):
+                                    </label>
+                                    <input
+                                        type="number"
+                                        id="temperature"
+                                        min="0"
+                                        max="2"
+                                        step="0.1"
+                                        className="shadow appearance-none border rounded w-full py-2 px-3 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                        value={temperature}
+                                        onChange={(e) => setTemperature(e.target.value)}
+                                    />
+                                </div>
+                                {/* Number of titles per catalog page; Stremio loads further pages while scrolling */}
+                                <div>
+                                    <label htmlFor="resultCount" className="block text-slate-300 text-sm font-bold mb-2 mt-4">
+                                        Results per Page:
+                                    </label>
+                                    <input
+                                        type="number"
+                                        id="resultCount"
+                                        min={GENERATION_OPTIONS.minResultCount}
+                                        max={GENERATION_OPTIONS.maxResultCount}
+                                        step="1"
+                                        className="shadow appearance-none border rounded w-full py-2 px-3 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                        value={resultCount}
+                                        onChange={(e) => setResultCount(e.target.value)}
+                                    />
+                                </div>
+                                {/* Safety filtering applied to Gemini's responses */}
+                                <div>
+                                    <label htmlFor="safetyLevel" className="block text-slate-300 text-sm font-bold mb-2 mt-4">
+                                        Safety Filter:
+                                    </label>
+                                    <select
+                                        id="safetyLevel"
+                                        className="shadow appearance-none border rounded w-full py-2 px-3 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                        value={safetyLevel}
+                                        onChange={(e) => setSafetyLevel(e.target.value)}
+                                    >
+                                        {GENERATION_OPTIONS.safetyLevels.map((level) => (
+                                            <option key={level} value={level}>{level.replace(/_/g, ' ')}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                {/* Watched and collected titles are always skipped for linked Trakt accounts */}
+                                <div className="flex items-center mt-4">
+                                    <input
+                                        type="checkbox"
+                                        id="excludeHidden"
+                                        className="mr-2"
+                                        checked={excludeHidden}
+                                        onChange={(e) => setExcludeHidden(e.target.checked)}
+                                    />
+                                    <label htmlFor="excludeHidden" className="text-slate-300 text-sm font-bold">
+                                        Also skip titles I've hidden from recommendations on Trakt.tv
+                                    </label>
+                                </div>
+                                <div className="flex items-center mt-4">
+                                    <input
+                                        type="checkbox"
+                                        id="traktScrobble"
+                                        className="mr-2"
+                                        checked={traktScrobble}
+                                        onChange={(e) => setTraktScrobble(e.target.checked)}
                                     />
+                                    <label htmlFor="traktScrobble" className="text-slate-300 text-sm font-bold">
+                                        Show recommended titles I open as "watching now" on Trakt.tv (reinstall the addon after changing)
+                                    </label>
                                 </div>
+
+                                <h3 className="text-xl font-semibold text-white mt-6">Custom Catalogs</h3>
+                                <p className="text-sm text-slate-400">
+                                    Each catalog becomes its own row in Stremio. Prompts may use {'{last_watched}'}, {'{favorites}'},
+                                    {' {count}'} and {'{type}'}. Reinstall the addon after changing catalogs so Stremio picks them up.
+                                </p>
+                                {customCatalogs.map((catalog, index) => (
+                                    <div key={catalog.id || index} className="p-3 rounded-md bg-slate-800 space-y-2">
+                                        <div className="flex gap-2">
+                                            <input
+                                                type="text"
+                                                aria-label="Catalog name"
+                                                className="shadow appearance-none border rounded w-full py-2 px-3 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                                value={catalog.name}
+                                                onChange={(e) => updateCustomCatalog(index, 'name', e.target.value)}
+                                                placeholder="e.g. 90s sci-fi like my favorites"
+                                            />
+                                            <select
+                                                aria-label="Catalog type"
+                                                className="shadow border rounded py-2 px-3 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                                value={catalog.type}
+                                                onChange={(e) => updateCustomCatalog(index, 'type', e.target.value)}
+                                            >
+                                                <option value="movie">Movies</option>
+                                                <option value="series">Series</option>
+                                            </select>
+                                        </div>
+                                        <textarea
+                                            aria-label="Catalog prompt"
+                                            rows="2"
+                                            className="shadow appearance-none border rounded w-full py-2 px-3 leading-tight focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                            value={catalog.prompt}
+                                            onChange={(e) => updateCustomCatalog(index, 'prompt', e.target.value)}
+                                            placeholder="e.g. Short comedies under 100 minutes, or: because I watched {last_watched}"
+                                        />
+                                        <button
+                                            onClick={() => removeCustomCatalog(index)}
+                                            className="py-1 px-3 rounded-md text-sm bg-red-600 hover:bg-red-700"
+                                        >
+                                            Remove
+                                        </button>
+                                    </div>
+                                ))}
+                                {customCatalogs.length < GENERATION_OPTIONS.maxCustomCatalogs && (
+                                    <button
+                                        onClick={addCustomCatalog}
+                                        className="py-1 px-3 rounded-md text-sm bg-slate-600 hover:bg-slate-500"
+                                    >
+                                        Add Catalog
+                                    </button>
+                                )}
+
                                 {/* Button to save all API keys */}
                                 <button
                                     onClick={handleSaveKeys}
                                     className="w-full py-2 px-4 rounded-md font-semibold shadow-lg transition duration-300 ease-in-out transform hover:scale-105"
                                 >
-                                    Save All API Keys
+                                    Save API Keys & Settings
                                 </button>
                                 <p className="text-sm text-slate-400 mt-2">
-                                    After saving, these keys will be stored persistently for this addon instance.
+                                    After saving, these keys will be stored persistently under your own configuration ID,
+                                    and you will get a personal addon URL. Other people using this deployment keep their own keys.
                                 </p>
+                                {configId && (
+                                    <button
+                                        onClick={handleDeleteConfig}
+                                        className="w-full py-2 px-4 rounded-md font-semibold bg-red-600 hover:bg-red-700"
+                                    >
+                                        Delete My Configuration
+                                    </button>
+                                )}
                             </div>
 
                             <div className="w-full max-w-md bg-slate-700 p-6 rounded-lg shadow-md space-y-4">
@@ -876,9 +5031,52 @@ app.get('/configure', (req, res) => {
                                 >
                                     Authorize with Trakt.tv
                                 </button>
+                                {/* Device-code linking: no redirect URI needed, and the code can be entered on any device */}
+                                {deviceAuth ? (
+                                    <div className="bg-slate-800 p-4 rounded-md space-y-2 text-center">
+                                        <p className="text-slate-300 text-sm">
+                                            Go to <a href={deviceAuth.verificationUrl} target="_blank" rel="noopener noreferrer" className="text-blue-400 hover:underline">{deviceAuth.verificationUrl}</a> and enter this code:
+                                        </p>
+                                        <p className="text-3xl font-bold tracking-widest text-white select-all">{deviceAuth.userCode}</p>
+                                        <p className="text-slate-400 text-sm">Waiting for authorization...</p>
+                                        <button
+                                            onClick={() => setDeviceAuth(null)}
+                                            className="py-1 px-3 rounded-md text-sm bg-slate-600 hover:bg-slate-500"
+                                        >
+                                            Cancel
+                                        </button>
+                                    </div>
+                                ) : (
+                                    <button
+                                        onClick={handleTraktDeviceAuth}
+                                        className="w-full py-2 px-4 rounded-md font-semibold bg-slate-600 hover:bg-slate-500"
+                                    >
+                                        Link with a Code (TV or Another Device)
+                                    </button>
+                                )}
                                 <p className="text-sm text-red-400 mt-2">
-                                    **Note:** You must have saved your Trakt Client ID and Secret using the "Save All API Keys" button above before authorizing.
+                                    **Note:** You must have saved your Trakt Client ID and Secret using the "Save API Keys &amp; Settings" button above before authorizing.
                                 </p>
+                                {/* Link status of the saved configuration */}
+                                {traktStatus && traktStatus.linked && (
+                                    <div className="space-y-2">
+                                        <p className="text-sm text-green-400">
+                                            Linked{traktStatus.username ? ' as ' + traktStatus.username : ''}. The access token is renewed
+                                            automatically (current one expires {new Date(traktStatus.expiresAt).toLocaleString()}).
+                                        </p>
+                                        <button
+                                            onClick={handleUnlinkTrakt}
+                                            className="w-full py-2 px-4 rounded-md font-semibold bg-slate-600 hover:bg-slate-500"
+                                        >
+                                            Unlink Trakt.tv
+                                        </button>
+                                    </div>
+                                )}
+                                {traktStatus && traktStatus.needsReauth && (
+                                    <p className="text-sm text-yellow-400">
+                                        Trakt.tv access was revoked or expired. Please authorize again.
+                                    </p>
+                                )}
                             </div>
 
                             {/* Conditional rendering for success and error messages */}
@@ -899,7 +5097,8 @@ app.get('/configure', (req, res) => {
                                 <div className="w-full max-w-md bg-slate-700 p-6 rounded-lg shadow-md space-y-4">
                                     <h2 className="text-2xl font-semibold text-white mb-4">Your Stremio Addon URL</h2>
                                     <p className="text-slate-300 break-words">
-                                        Copy this URL and paste it into Stremio's addon search bar to install:
+                                        Copy this personal URL and paste it into Stremio's addon search bar to install.
+                                        Keep it private: it identifies your configuration.
                                         <br />
                                         <code className="bg-slate-800 p-2 rounded block mt-2 text-blue-300 select-all">
                                             {addonUrl}
@@ -919,6 +5118,61 @@ app.get('/configure', (req, res) => {
                                 </div>
                             )}
 
+                            {/* Instance owner: claims the instance on first run, then signs in to manage the instance-wide keys */}
+                            <div className="w-full max-w-md bg-slate-700 p-6 rounded-lg shadow-md space-y-4">
+                                <h2 className="text-2xl font-semibold text-white mb-4">Instance Owner</h2>
+                                {owner.signedIn ? (
+                                    <div className="space-y-4">
+                                        <p className="text-slate-300 text-sm">
+                                            You are signed in as the owner of this deployment. The keys entered above can be saved as
+                                            the instance-wide defaults used by configurations without their own keys.
+                                        </p>
+                                        <button
+                                            onClick={handleSaveInstanceKeys}
+                                            className="w-full py-2 px-4 rounded-md font-semibold shadow-lg"
+                                        >
+                                            Save Keys as Instance-wide Defaults
+                                        </button>
+                                        <button
+                                            onClick={handleOwnerSignOut}
+                                            className="w-full py-2 px-4 rounded-md font-semibold bg-slate-600 hover:bg-slate-500"
+                                        >
+                                            Sign Out
+                                        </button>
+                                    </div>
+                                ) : (
+                                    <div className="space-y-4">
+                                        <p className="text-slate-400 text-sm">
+                                            {owner.claimed
+                                                ? 'Only needed to manage this deployment. Your own configuration does not require it.'
+                                                : 'This deployment has no owner yet. Enter the one-time claim token from the server log and choose an owner password.'}
+                                        </p>
+                                        {!owner.claimed && (
+                                            <input
+                                                type="password"
+                                                id="claimToken"
+                                                value={claimToken}
+                                                onChange={(e) => setClaimToken(e.target.value)}
+                                                placeholder="Claim token from the server log"
+                                            />
+                                        )}
+                                        <input
+                                            type="password"
+                                            id="ownerPassword"
+                                            value={ownerPassword}
+                                            onChange={(e) => setOwnerPassword(e.target.value)}
+                                            placeholder={owner.claimed ? 'Owner password' : 'New owner password (at least 12 characters)'}
+                                        />
+                                        <button
+                                            onClick={handleOwnerSignIn}
+                                            className="w-full py-2 px-4 rounded-md font-semibold shadow-lg"
+                                        >
+                                            {owner.claimed ? 'Sign In as Owner' : 'Claim This Deployment'}
+                                        </button>
+                                    </div>
+                                )}
+                            </div>
+
                             <p className="text-sm text-slate-500 mt-6 text-center">
                                 Powered by Google Gemini AI & Trakt.tv
                             </p>
@@ -943,8 +5197,8 @@ app.get('/configure', (req, res) => {
 });
 
 // --- Start the Express Server ---
-app.listen(PORT, () => {
+secretsMigration.then(() => app.listen(PORT, () => {
     console.log(`Stremio Gemini Addon server running on port ${PORT}`);
     console.log(`Access configuration at http://localhost:${PORT}/configure`);
     console.log(`Addon manifest at http://localhost:${PORT}/manifest.json`);
-});
+}));